@@ -18,6 +18,7 @@ tabbii.social.facebook = (function(){
   (function(){
     // Automatically load FB SDK unless explicitly told not to.
     tabbii.on('initializing', function(){
+      internals.navigation.init();
       if(!tabbii.defaults.facebook.auto_load) return;
       facebook.init();
     });
@@ -32,105 +33,414 @@ tabbii.social.facebook = (function(){
     
     @memberof tabbii.social.facebook
     @prop {tabbii.internals.stack_callback} loaded - triggered while the SKD is downloaded and available in the global namespace.
-    @prop {tabbii.internals.stack_callback} connected - triggered when Facebook logs in a user who has authenticated with the application. Usually occurs automatically for returning users.
-    @prop {tabbii.internals.stack_callback} unconnected -  triggered when Facebook checked the authorization status and found the user to not be authenticated with the app or logged out. Also triggered after a deauthorization or logout.
+    @prop {tabbii.internals.stack_callback} connected - triggered when Facebook logs in a user who has authenticated with the application. Usually occurs automatically for returning users. Callbacks receive the SDK's login status response.
+    @prop {tabbii.internals.stack_callback} unconnected -  triggered when Facebook checked the authorization status and found the user to not be authenticated with the app or logged out. Also triggered after a deauthorization or logout. Callbacks receive the SDK's login status response.
+    @prop {tabbii.internals.stack_callback} load_retrying - triggered each time the SDK failed to load and another attempt is scheduled. Callbacks receive, and are bound to, an object containing the `reason`, the upcoming `attempt` number, the `delay` in milliseconds and the `url` to be tried.
+    @prop {tabbii.internals.stack_callback} load_failed - triggered when the SDK could not be loaded after all retries, or no `app_id` is configured. Callbacks receive, and are bound to, an object containing the `reason` (`error`, `timeout` or `missing_app_id`), the number of `attempts` and the last `url` tried.
+    @prop {tabbii.internals.stack_callback} state_change - triggered on every transition of `state`. Callbacks receive an object containing the previous state `from`, the new state `to` and the `details` which caused it, usually the SDK's login status response.
+    @prop {tabbii.internals.stack_callback} navigated - triggered when the front-end framework set by `navigation` has changed the page without a full load. Callbacks receive an object containing the `container` which was replaced, or undefined if it was the whole page.
     @example
       function get_last_name(){
         FB.api('/me', {fields: 'last_name'}, function(response) { console.log(response); });
       }
       // Whenever the user logs in, or if they are already logged in, get_last_name will be invoked.
       tabbii.social.facebook.callbacks.connected.push(get_last_name);
+    @example
+      // Hide Facebook buttons when the SDK is blocked.
+      tabbii.social.facebook.callbacks.load_failed.push(function(){
+        $('.facebook').hide();
+      });
     */
     callbacks : {
       loaded : new tabbii.internals.stack_callback,
       connected : new tabbii.internals.stack_callback,
-      unconnected : new tabbii.internals.stack_callback
+      unconnected : new tabbii.internals.stack_callback,
+      load_retrying : new tabbii.internals.stack_callback({refire:true, requeue:true}),
+      load_failed : new tabbii.internals.stack_callback,
+      navigated : new tabbii.internals.stack_callback({refire:true, requeue:true}),
+      state_change : new tabbii.internals.stack_callback({refire:true, requeue:true})
     },
     /**
-    Current status from Facebook SDK. 
-    Possible values: `connected`, `not_authorized` or `unknown`.
+    Current status from Facebook SDK, derived from `state`. 
+    Possible values: `connected`, `not_authorized` or `unknown`. An `expired` user is still `connected` while the token is refreshed.
     @default
     @type {string}
     @memberof tabbii.social.facebook
     */
     status : 'unknown',
+    /**
+    Current auth state. Only changes through `transition`, which keeps `status` and the `connected`, `unconnected` and `load_failed` callbacks in step with it.  
+    Possible values:
+    
+    - `loading` - the SDK is loading or has not reported a login status yet.
+    - `sdk_failed` - the SDK could not be loaded.
+    - `unknown` - the user is not logged in to Facebook, or has logged out of the app.
+    - `not_authorized` - the user is logged in to Facebook but has not authorised the app.
+    - `connected_partial` - the user is connected but has not granted every permission the app uses.
+    - `connected_full` - the user is connected and has granted every permission the app uses.
+    - `expired` - the user was connected but the access token expired without being replaced.
+    
+    @default
+    @type {string}
+    @memberof tabbii.social.facebook
+    */
+    state : 'loading',
+    /**
+    Whether the app's session was ended by `end_session`, so that login statuses from the SDK are ignored.
+    @default
+    @type {boolean}
+    @memberof tabbii.social.facebook
+    */
+    session_ended : false,
+    /**
+    Moves `state` to a new state, updating the derived `status` and callbacks and triggering `callbacks.state_change`.  
+    Transitions which cannot happen, such as from `unknown` to `expired`, are refused with a warning. Any state may return to `loading` when the SDK is initialised again.  
+    A transition requested by a callback while another is under way waits until every callback of the first has run, so `state_change` always reports transitions in the order they happen.
+
+    @arg {string} to - the new state.
+    @arg {*} [details] - what caused the transition, passed on to the callbacks.
+    @returns {boolean} - whether the state is now `to`, or true once a transition is queued behind another.
+    @memberof tabbii.social.facebook
+    */
+    transition : function(to, details){
+      var machine = internals.machine;
+      if(machine.changing) {
+        machine.queued.push([to, details]);
+        return true;
+      }
+      var from = facebook.state;
+      if(to == from) return true;
+      if(to != 'loading' && !_.contains(machine.transitions[from], to)) {
+        console.warn("Auth state cannot change from " + from + " to " + to);
+        return false;
+      }
+      machine.changing = true;
+      facebook.state = to;
+      facebook.status = machine.statuses[to] || 'unknown';
+      machine.derive(from, to, details);
+      facebook.callbacks.state_change.trigger({ from : from, to : to, details : details });
+      machine.changing = false;
+      while(machine.queued.length) facebook.transition.apply(facebook, machine.queued.shift());
+      return facebook.state == to;
+    },
+    /**
+    Decides whether a connected user is `connected_full` rather than `connected_partial`.  
+    Always true unless replaced, as _tabbii.social.facebook.user_ does to check its permissions.
+
+    @returns {boolean}
+    @memberof tabbii.social.facebook
+    */
+    permissions_complete : function(){
+      return true;
+    },
+    /**
+    The Facebook SDK in use. Either the object injected on `init` or the global `FB` once the SDK has loaded.
+
+    @returns {(Object|undefined)} - the SDK, or undefined if it is not yet available.
+    @memberof tabbii.social.facebook
+    @example
+      tabbii.social.facebook.sdk().api('/me', function(response) { console.log(response); });
+    */
+    sdk : function(){
+      return internals.sdk || window.FB;
+    },
     /** 
     Load and setup the Facebook SDK.  
-    Automatically invoked if `auto_load` is true.
+    Automatically invoked if `auto_load` is true.  
+    If an SDK object is provided, either as an option or in `tabbii.defaults.facebook.sdk`, it is used in place of the global `FB` and the script is not downloaded.
 
+    @arg {Object} [options]
+    @arg {Object} [options.sdk] - an object implementing the Facebook JS SDK interface, such as {@link tabbii.social.facebook.fake_sdk}.
     @memberof tabbii.social.facebook
+    @example
+      tabbii.defaults.facebook.auto_load = false;
+      tabbii.social.facebook.init({ sdk: new tabbii.social.facebook.fake_sdk({ status: 'connected' }) });
     */
-    init : function(){
-      internals.load();
-      // Switch between callbacks.
-      facebook.callbacks.unconnected.push(function(){
-        facebook.callbacks.connected.stop();
-      });
-      facebook.callbacks.connected.push(function(){
-        facebook.callbacks.unconnected.stop();
-      })
+    init : function(options){
+      var sdk = (options && options.sdk) || tabbii.defaults.facebook.sdk;
+      if(sdk) {
+        internals.sdk = sdk;
+        internals.init();
+      } else {
+        internals.load();
+      }
+    },
+    /**
+    Sets `status` from an SDK login status response, switching between the `connected` and `unconnected` callbacks.  
+    Use after changing the session outside the SDK's own events. Ignored while `session_ended`.
+
+    @arg {Object} response - a login status response with a `status` of `connected`, `not_authorized` or `unknown`.
+    @memberof tabbii.social.facebook
+    */
+    update_status : function(response){
+      internals.update_status(response);
+    },
+    /**
+    Ends the app's session while the user stays logged in to Facebook.  
+    `status` becomes `unknown` and login statuses from the SDK are ignored until `resume_session`, as the SDK would otherwise report the user as connected again.
+
+    @memberof tabbii.social.facebook
+    */
+    end_session : function(){
+      internals.update_status({ status : 'unknown', authResponse : null });
+      facebook.session_ended = true;
+    },
+    /**
+    Accepts login statuses from the SDK again after `end_session`, for example once the user logs in explicitly.
+
+    @memberof tabbii.social.facebook
+    */
+    resume_session : function(){
+      facebook.session_ended = false;
+    },
+    /**
+    Asks the SDK for the login status and updates `status` and the callbacks from its response.
+
+    @arg {boolean} [force_refresh] - bypass the SDK's cached status.
+    @memberof tabbii.social.facebook
+    */
+    refresh_status : function(force_refresh){
+      facebook.sdk().getLoginStatus(internals.update_status, force_refresh);
     }
   };
+  /**
+  Binds handlers to `callbacks` by name, with namespaces for bulk removal.  
+  See {@link tabbii.internals.stack_callback.events}.
+
+  @function on
+  @function once
+  @function off
+  @function listening
+  @memberof tabbii.social.facebook
+  @example
+    tabbii.social.facebook.on('connected.myWidget', show_widget);
+    $(document).on('page:before-change', function(){ tabbii.social.facebook.off('.myWidget') });
+  */
+  _.extend(facebook, tabbii.internals.stack_callback.events(facebook.callbacks));
   var internals = {
     load : function(){
       window.fbAsyncInit = internals.init;
+      internals.attempt(0);
+    },
+    attempt : function(attempt){
+      var settings = tabbii.defaults.facebook;
+      // Retries use the alternate URL when one is configured.
+      var url = internals.localise((attempt && settings.alternate_sdk_url) || settings.sdk_url);
+      internals.loading = { attempt : attempt, url : url, settled : false };
       (function(d, s, id, b, v, t) {
           var js, fjs = d.getElementsByTagName(s)[0],
-          p = d.getElementsByTagName(b)[0], r = d.createElement(v);
-          r.id = t; p.insertBefore(r, p.firstChild);
+          p = d.getElementsByTagName(b)[0], r;
+          if (!d.getElementById(t)) {
+            r = d.createElement(v); r.id = t; p.insertBefore(r, p.firstChild);
+          }
           if (d.getElementById(id)) return;
           js = d.createElement(s); js.id = id;
-          js.src = "//connect.facebook.net/en_US/sdk.js";
+          js.src = url;
+          js.onerror = function(){ internals.failed('error'); };
           fjs.parentNode.insertBefore(js, fjs);
         }(document, 'script', 'facebook-jssdk', 'body', 'div', 'fb-root'));
+      internals.timer = _.delay(internals.failed, settings.load_timeout, 'timeout');
+    },
+    failed : function(reason){
+      var settings = tabbii.defaults.facebook;
+      var loading = internals.loading;
+      // Only the first of an error or timeout counts for each attempt.
+      if(loading.settled) return;
+      loading.settled = true;
+      clearTimeout(internals.timer);
+      $('#facebook-jssdk').remove();
+      if(loading.attempt < settings.load_retries) {
+        var delay = settings.load_retry_delay * Math.pow(2, loading.attempt);
+        var next_attempt = loading.attempt + 1;
+        var retrying = {
+          reason : reason,
+          attempt : next_attempt,
+          delay : delay,
+          url : internals.localise(settings.alternate_sdk_url || settings.sdk_url)
+        };
+        // Bound as well as passed, for callbacks which read it from `this`.
+        facebook.callbacks.load_retrying.bind = retrying;
+        facebook.callbacks.load_retrying.trigger(retrying);
+        internals.timer = _.delay(internals.attempt, delay, next_attempt);
+        return;
+      }
+      internals.report_failure(reason);
+    },
+    report_failure : function(reason){
+      var loading = internals.loading || { attempt : 0 };
+      facebook.transition('sdk_failed', {
+        reason : reason,
+        attempts : loading.attempt + 1,
+        url : loading.url
+      });
+    },
+    localise : function(url){
+      return url.replace('{locale}', internals.locale());
+    },
+    locale : function(){
+      var locale = tabbii.defaults.facebook.locale;
+      if(locale != 'auto') return locale;
+      // Facebook only accepts full locales, so expand bare languages to their most common region.
+      var lang = $('html').attr('lang') || '';
+      var parts = lang.split(/[-_]/);
+      if(!/^[a-z]{2,3}$/i.test(parts[0])) return 'en_US';
+      var language = parts[0].toLowerCase();
+      var region = parts[1] ? parts[1].toUpperCase() : (internals.regions[language] || language.toUpperCase());
+      return language + '_' + region;
     },
+    regions : {
+      en : 'US', ar : 'AR', cs : 'CZ', da : 'DK', el : 'GR', he : 'IL', hi : 'IN', ja : 'JP',
+      ko : 'KR', nb : 'NO', sv : 'SE', uk : 'UA', vi : 'VN', zh : 'CN'
+    },
+    sdk : undefined,
     init : function(){
-      FB.init({
+      var sdk = facebook.sdk();
+      // The SDK may arrive after a timeout was reported, so stop any pending retry.
+      clearTimeout(internals.timer);
+      if(internals.loading) internals.loading.settled = true;
+      facebook.transition('loading');
+      sdk.init(_.extend({
         appId  : tabbii.defaults.facebook.app_id,
         cookie : true,
         xfbml  : true,
         frictionlessRequests : true,
-        version    : 'v2.0'
-      });
-      if(!tabbii.defaults.facebook.app_id) return;
-      FB.getLoginStatus(internals.update_status);
-      FB.Event.subscribe('auth.authResponseChange', internals.update_status);
+        version    : tabbii.defaults.facebook.version
+      }, tabbii.defaults.facebook.init_options));
+      if(!tabbii.defaults.facebook.app_id) return internals.report_failure('missing_app_id');
+      // Loaded before the first status check, so callbacks see every response the SDK gives.
       facebook.callbacks.loaded.trigger();
-      internals.turbo.init();
+      sdk.getLoginStatus(internals.update_status);
+      sdk.Event.subscribe('auth.authResponseChange', internals.update_status);
     },
     update_status : function(response) {
-      facebook.status = response.status;
-      if(response.status=="connected") {
-        facebook.callbacks.connected.trigger();
+      if(facebook.session_ended) return;
+      var auth = response.authResponse;
+      // A cached response carrying the expired token does not end the expiry.
+      if(facebook.state == 'expired' && auth && auth.expiresIn <= 0) return;
+      if(response.status == 'connected') {
+        facebook.transition(facebook.permissions_complete() ? 'connected_full' : 'connected_partial', response);
       } else {
-        facebook.callbacks.unconnected.trigger();
+        facebook.transition(response.status == 'not_authorized' ? 'not_authorized' : 'unknown', response);
       }
     },
-    turbo : {
+    machine : {
+      changing : false,
+      queued : [],
+      transitions : {
+        loading : ['sdk_failed', 'unknown', 'not_authorized', 'connected_partial', 'connected_full'],
+        // The SDK may still arrive after it was reported as failed.
+        sdk_failed : ['unknown', 'not_authorized', 'connected_partial', 'connected_full'],
+        unknown : ['not_authorized', 'connected_partial', 'connected_full'],
+        not_authorized : ['unknown', 'connected_partial', 'connected_full'],
+        connected_partial : ['unknown', 'not_authorized', 'connected_full', 'expired'],
+        connected_full : ['unknown', 'not_authorized', 'connected_partial', 'expired'],
+        expired : ['unknown', 'not_authorized', 'connected_partial', 'connected_full']
+      },
+      statuses : {
+        connected_partial : 'connected',
+        connected_full : 'connected',
+        // An expired token is not a logout, so connected callbacks keep running until it is replaced or the user is gone.
+        expired : 'connected',
+        not_authorized : 'not_authorized'
+      },
+      // The callbacks are switched only here, so they always agree with the state.
+      derive : function(from, to, details){
+        var callbacks = facebook.callbacks;
+        if(to == 'sdk_failed') {
+          callbacks.load_failed.bind = details;
+          callbacks.load_failed.trigger(details);
+        } else {
+          callbacks.load_failed.stop();
+        }
+        if(facebook.status == 'connected') {
+          callbacks.unconnected.stop();
+          callbacks.connected.trigger(details);
+        } else if(to == 'loading' || to == 'sdk_failed') {
+          callbacks.connected.stop();
+          callbacks.unconnected.stop();
+        } else {
+          callbacks.connected.stop();
+          callbacks.unconnected.trigger(details);
+        }
+      }
+    },
+    /*
+    Keeps #fb-root and its SDK iframes across page changes made without a full load, and re-parses widgets in the new content.
+    Each preset names the events fired before the page is replaced, once the new page is in place, and once new content has loaded.
+    */
+    navigation : {
+      presets : {
+        turbolinks : { before : 'page:fetch', change : 'page:change', load : 'page:load' },
+        turbolinks5 : { before : 'turbolinks:before-visit', change : 'turbolinks:load', load : 'turbolinks:load' },
+        turbo : { before : 'turbo:before-visit', change : 'turbo:load turbo:frame-load', load : 'turbo:load turbo:frame-load' },
+        pjax : { change : 'pjax:end', load : 'pjax:end' },
+        // Frameworks render after pushing the new state, so wait for them.
+        history : { change : 'fb:pushstate popstate', load : 'fb:pushstate popstate', target : window, defer : true }
+      },
       init : function(){
-        if(tabbii.defaults.facebook.auto_reload_widgets) {
-          $(document).on('page:load', internals.reload_widgets);
+        var settings = tabbii.defaults.facebook;
+        var navigation = internals.navigation;
+        var events = _.isString(settings.navigation) ? navigation.presets[settings.navigation] : settings.navigation;
+        if(!events) {
+          if(settings.navigation) console.warn("Unknown navigation preset", settings.navigation);
+          return;
+        }
+        if(settings.navigation == 'history') navigation.patch_history();
+        var target = $(events.target || document);
+        var handle = function(handler){
+          return events.defer ? function(event){ _.defer(handler, event) } : handler;
         }
-        if(tabbii.defaults.facebook.auto_turbo) {
-          $(document).on('page:fetch', internals.turbo.save);
-          $(document).on('page:change', internals.turbo.restore);
+        if(settings.auto_turbo && events.before) target.on(events.before, handle(navigation.save));
+        if(events.change) target.on(events.change, handle(navigation.change));
+        if(settings.auto_reload_widgets && events.load) target.on(events.load, handle(navigation.load));
+      },
+      patch_history : function(){
+        if(!window.history || !history.pushState || history.pushState.patched) return;
+        var push_state = history.pushState;
+        history.pushState = function(){
+          var result = push_state.apply(this, arguments);
+          $(window).trigger('fb:pushstate');
+          return result;
         }
+        history.pushState.patched = true;
       },
       save : function(){
+        var fb_root = $('#fb-root');
+        if(!fb_root.length) return;
+        // Only an SDK which had loaded is loaded again once #fb-root is back.
+        internals.navigation.reload = facebook.callbacks.loaded.state() == 'triggered';
         facebook.callbacks.loaded.stop();
-        internals.turbo.fb_root = $('#fb-root').detach();
+        internals.navigation.fb_root = fb_root.detach();
       },
-      restore : function(){
-        if ($('#fb-root').length > 0) {
-           $('#fb-root').replaceWith(internals.turbo.fb_root);
-        } else {
-          $('body').append(internals.turbo.fb_root);
+      change : function(event){
+        var fb_root = internals.navigation.fb_root;
+        if(fb_root) {
+          internals.navigation.fb_root = null;
+          if ($('#fb-root').length > 0) {
+            $('#fb-root').replaceWith(fb_root);
+          } else {
+            $('body').append(fb_root);
+          }
+          if(internals.navigation.reload && facebook.sdk()) _.defer(facebook.callbacks.loaded.trigger);
         }
-        _.defer(facebook.callbacks.loaded.trigger);
+        facebook.callbacks.navigated.trigger({ container : internals.navigation.container(event) });
+      },
+      load : function(event){
+        // Should the SDK still arrive, FB.init parses the whole page.
+        if(facebook.state == 'sdk_failed') return;
+        var container = internals.navigation.container(event);
+        // Waits for the SDK, and for #fb-root to be restored.
+        facebook.callbacks.loaded.push(function(){
+          facebook.sdk().XFBML.parse(container);
+        });
+      },
+      // The element whose content was swapped, or undefined to parse the whole page.
+      container : function(event){
+        var element = event && event.target;
+        if(element && element.nodeType == 1 && element !== document.body && element !== document.documentElement) return element;
+        var selector = tabbii.defaults.facebook.navigation_container;
+        return selector ? $(selector)[0] : undefined;
       }
-    },
-    reload_widgets : function(){
-      FB.XFBML.parse();
     }
   };
   /**
@@ -139,13 +449,35 @@ tabbii.social.facebook = (function(){
   @default
   
   @prop {boolean} auto_load - Automatically load FB SDK when the page loads.
-  @prop {boolean} auto_reload_widgets - Automatically call FB SDK to parse any widgets on the page after Turbolinks triggers a `page:load`.
-  @prop {boolean} auto_turbo - Automatically reinitialize FB SDK after a Turbolinks page change.
+  @prop {boolean} auto_reload_widgets - Automatically call FB SDK to parse any widgets in new content after a page change set by `navigation`.
+  @prop {boolean} auto_turbo - Automatically keep `#fb-root` and reinitialize FB SDK after a page change set by `navigation`.
+  @prop {(string|Object)} navigation - the front-end framework changing pages: `turbolinks` for Turbolinks classic, `turbolinks5`, `turbo`, `pjax` or `history` for plain `history.pushState` and `popstate`. Set an object with `before`, `change` and `load` event names for any other, or null to disable.
+  @prop {string} navigation_container - a selector for the element whose content changes, to limit widget parsing to it when the page change event does not identify one.
+  @prop {Object} sdk - an object to use in place of the global `FB`. The SDK script is not downloaded when set.
+  @prop {string} locale - locale of the SDK dialogs and widgets, such as `fr_FR`, or `auto` to derive it from the `lang` attribute of `<html>`.
+  @prop {string} version - Graph API version passed to `FB.init`.
+  @prop {Object} init_options - options merged over the defaults passed to `FB.init`, for example `{xfbml: false}`.
+  @prop {string} sdk_url - URL of the SDK script. `{locale}` is replaced with the configured locale.
+  @prop {string} alternate_sdk_url - URL of the SDK script to use when retrying, for example a copy served from the app's own domain. `{locale}` is replaced as for `sdk_url`.
+  @prop {number} load_timeout - milliseconds to wait for the SDK to initialize before the attempt is considered failed.
+  @prop {number} load_retries - number of further attempts to load the SDK after the first fails.
+  @prop {number} load_retry_delay - milliseconds before the first retry, doubling for each subsequent retry.
   */
   tabbii.defaults.facebook = {
     auto_load: true,
     auto_reload_widgets: true,
-    auto_turbo: true
+    auto_turbo: true,
+    navigation: 'turbolinks',
+    navigation_container: null,
+    sdk: null,
+    locale: 'en_US',
+    version: 'v2.0',
+    init_options: {},
+    sdk_url: '//connect.facebook.net/{locale}/sdk.js',
+    alternate_sdk_url: null,
+    load_timeout: 10000,
+    load_retries: 2,
+    load_retry_delay: 2000
   };
   return facebook;
 })();
\ No newline at end of file
@@ -0,0 +1,274 @@
+//=require underscore
+//=require tabbii/social/facebook
+;/**
+A scriptable, in-memory stand-in for the Facebook JS SDK.
+
+Implements the parts of the `FB` interface used by _tabbii.social.facebook_ so that login, permission and status flows can run without a live Facebook app, for example under jsdom in Node.
+
+Dialog outcomes are queued with `next_dialog` and consumed by each `login` call. Any change to the login status fires `auth.authResponseChange` and `auth.statusChange` to subscribers, as the real SDK does.
+
+@example
+  //=require tabbii/social/facebook/fake_sdk
+
+  var fake = new tabbii.social.facebook.fake_sdk({
+    status : 'connected',
+    permissions : { public_profile : 'granted', user_photos : 'declined' }
+  });
+  // Before tabbii initialises, or the real SDK is loaded and the fake is never used.
+  tabbii.defaults.facebook.app_id = 'test-app';
+  tabbii.defaults.facebook.auto_load = false;
+  tabbii.on('initializing', function(){ tabbii.social.facebook.init({ sdk : fake }) });
+
+  fake.next_dialog({ grant : ['publish_actions'] });
+  tabbii.social.facebook.user.request_permissions(event, 'publish_actions');
+
+@namespace tabbii.social.facebook.fake_sdk
+@constructor
+@arg {Object} [options]
+@arg {string} [options.status=unknown] - initial login status, `connected`, `not_authorized` or `unknown`.
+@arg {Object.<string, string>} [options.permissions] - initial permission statuses keyed by permission name.
+@arg {string} [options.user_id=1000] - id of the simulated user.
+@arg {string} [options.access_token=fake-access-token] - token returned in auth responses.
+@arg {number} [options.expires_in=3600] - seconds until the simulated token expires.
+@arg {boolean} [options.async=false] - defer all callbacks, as the real SDK does.
+*/
+tabbii.social.facebook.fake_sdk = (function(options){
+  // Internally, reference all accessible variables via "scope"
+  var scope = this;
+  options = options || {};
+  var status = options.status || 'unknown';
+  var granted_permissions = _.clone(options.permissions || {});
+  var dialogs = new Array;
+  var responses = {};
+  var subscribers = {};
+
+  /**
+  Every call made to the SDK, in order. Each entry has a `method` name and the `args` it was called with.
+  @type Object[]
+  @memberof tabbii.social.facebook.fake_sdk
+  @instance
+  */
+  scope.calls = new Array;
+  scope.user_id = options.user_id || '1000';
+  scope.access_token = options.access_token || 'fake-access-token';
+  scope.expires_in = options.expires_in || 3600;
+
+  var record = function(method, args){
+    scope.calls.push({ method : method, args : _.toArray(args) });
+  }
+
+  var respond = function(callback, response){
+    if(!_.isFunction(callback)) return;
+    if(options.async) {
+      _.defer(callback, response);
+    } else {
+      callback(response);
+    }
+  }
+
+  var auth_response = function(){
+    if(status != 'connected') return null;
+    return {
+      accessToken : scope.access_token,
+      expiresIn : scope.expires_in,
+      signedRequest : 'fake-signed-request',
+      userID : scope.user_id,
+      grantedScopes : with_status('granted').join(',')
+    };
+  }
+
+  var login_status = function(){
+    return { status : status, authResponse : auth_response() };
+  }
+
+  var with_status = function(permission_status){
+    return _.filter(_.keys(granted_permissions), function(permission){
+      return granted_permissions[permission] == permission_status;
+    });
+  }
+
+  var normalise_path = function(path){
+    return String(path).replace(/^\//, '');
+  }
+
+  var fire = function(event_name){
+    _.each((subscribers[event_name] || []).slice(0), function(handler){
+      respond(handler, login_status());
+    });
+  }
+
+  /**
+  Changes the simulated login status, firing `auth.authResponseChange` and `auth.statusChange` if it differs.
+
+  @arg {string} new_status - `connected`, `not_authorized` or `unknown`.
+  @function set_status
+  @memberof tabbii.social.facebook.fake_sdk
+  @instance
+  */
+  scope.set_status = function(new_status){
+    if(new_status == status) return scope;
+    status = new_status;
+    fire('auth.authResponseChange');
+    fire('auth.statusChange');
+    return scope; // for chaining
+  }
+
+  /**
+  Merges permission statuses into the simulated `me/permissions` response.
+
+  @arg {Object.<string, string>} permissions - statuses keyed by permission name. A status of `null` removes the permission.
+  @function set_permissions
+  @memberof tabbii.social.facebook.fake_sdk
+  @instance
+  */
+  scope.set_permissions = function(permissions){
+    _.each(permissions, function(permission_status, permission){
+      if(permission_status) {
+        granted_permissions[permission] = permission_status;
+      } else {
+        delete granted_permissions[permission];
+      }
+    });
+    return scope;
+  }
+
+  /**
+  Queues the outcome of the next login dialog. Dialogs without a queued outcome grant everything requested.
+
+  @arg {(string|Object)} outcome - `grant_all`, `cancel` or an object with a `grant` array listing which of the requested permissions to grant. The rest are declined.
+  @function next_dialog
+  @memberof tabbii.social.facebook.fake_sdk
+  @instance
+  */
+  scope.next_dialog = function(outcome){
+    dialogs.push(outcome);
+    return scope;
+  }
+
+  /**
+  Scripts the response for a Graph API path other than `me/permissions`.
+
+  @arg {string} path - Graph API path.
+  @arg {(Object|function)} response - the response, or a function receiving the params and method and returning one.
+  @function respond_to
+  @memberof tabbii.social.facebook.fake_sdk
+  @instance
+  */
+  scope.respond_to = function(path, response){
+    responses[normalise_path(path)] = response;
+    return scope;
+  }
+
+  /**
+  Returns the current permission statuses keyed by permission name.
+
+  @returns {Object.<string, string>}
+  @function permissions
+  @memberof tabbii.social.facebook.fake_sdk
+  @instance
+  */
+  scope.permissions = function(){
+    return _.clone(granted_permissions);
+  }
+
+  // The FB interface
+
+  scope.init = function(){
+    record('init', arguments);
+  }
+
+  scope.login = function(callback, login_options){
+    record('login', arguments);
+    var requested = (login_options && login_options.scope) || [];
+    if(_.isString(requested)) requested = requested.split(/\s*,\s*/);
+    var outcome = dialogs.length ? dialogs.shift() : 'grant_all';
+    if(outcome == 'cancel') return respond(callback, login_status());
+    var grant = outcome == 'grant_all' ? requested : _.flatten([outcome.grant || []]);
+    _.each(requested, function(permission){
+      granted_permissions[permission] = _.contains(grant, permission) ? 'granted' : 'declined';
+    });
+    if(!granted_permissions.public_profile) granted_permissions.public_profile = 'granted';
+    if(status == 'connected') {
+      fire('auth.authResponseChange');
+    } else {
+      scope.set_status('connected');
+    }
+    respond(callback, login_status());
+  }
+
+  scope.logout = function(callback){
+    record('logout', arguments);
+    scope.set_status('unknown');
+    respond(callback, login_status());
+  }
+
+  scope.getLoginStatus = function(callback){
+    record('getLoginStatus', arguments);
+    respond(callback, login_status());
+  }
+
+  scope.getAuthResponse = function(){
+    return auth_response();
+  }
+
+  scope.getAccessToken = function(){
+    var response = auth_response();
+    return response ? response.accessToken : null;
+  }
+
+  scope.getUserID = function(){
+    var response = auth_response();
+    return response ? response.userID : null;
+  }
+
+  scope.api = function(path){
+    record('api', arguments);
+    // Arguments after the path are optional, the callback is always last.
+    var args = _.rest(arguments);
+    var callback = _.find(args, _.isFunction);
+    var method = _.find(args, _.isString) || 'get';
+    var params = _.find(args, function(arg){ return _.isObject(arg) && !_.isFunction(arg) }) || {};
+    path = normalise_path(path);
+    if(status != 'connected') {
+      return respond(callback, { error : { message : 'An active access token must be used.', type : 'OAuthException', code : 2500 } });
+    }
+    var permission_path = path.match(/^me\/permissions\/?(.*)$/);
+    if(permission_path && method.toLowerCase() == 'delete') {
+      if(permission_path[1]) {
+        delete granted_permissions[permission_path[1]];
+      } else {
+        granted_permissions = {};
+        scope.set_status('not_authorized');
+      }
+      return respond(callback, { success : true });
+    }
+    if(permission_path) {
+      return respond(callback, {
+        data : _.map(granted_permissions, function(permission_status, permission){
+          return { permission : permission, status : permission_status };
+        })
+      });
+    }
+    var response = responses[path];
+    if(_.isFunction(response)) response = response(params, method);
+    respond(callback, response || { error : { message : 'Unknown path components: /' + path, type : 'OAuthException', code : 2500 } });
+  }
+
+  scope.Event = {
+    subscribe : function(event_name, handler){
+      record('Event.subscribe', arguments);
+      (subscribers[event_name] = subscribers[event_name] || []).push(handler);
+    },
+    unsubscribe : function(event_name, handler){
+      record('Event.unsubscribe', arguments);
+      subscribers[event_name] = _.without(subscribers[event_name] || [], handler);
+    }
+  };
+
+  scope.XFBML = {
+    parse : function(){
+      record('XFBML.parse', arguments);
+    }
+  };
+
+});
@@ -0,0 +1,203 @@
+//=require jquery
+//=require underscore
+//=require URI
+//=require tabbii/social/scopes
+;/**
+An adapter for {@link tabbii.social.scopes.manager} which requests scopes from any OAuth 2.0 or OpenID Connect provider in a popup, using the implicit flow.
+
+The popup is sent to the provider's `authorize_url` and watched until it returns to `redirect_uri`, which must be on the same origin as the page. The token, granted scopes and, for OpenID Connect, the claims of the ID token are read from the returned URL and the popup is closed.
+Scopes the provider reports in the `scope` parameter are granted and the other requested scopes declined. Providers which do not report scopes are taken to grant everything requested.
+Granted scopes expire with the token.
+
+@example
+  //=require tabbii/social/scopes/oauth2
+
+  var google = new tabbii.social.scopes.oauth2({
+    authorize_url : 'https://accounts.google.com/o/oauth2/v2/auth',
+    revoke_url : 'https://oauth2.googleapis.com/revoke',
+    client_id : '1234.apps.googleusercontent.com',
+    response_type : 'token id_token',
+    params : { include_granted_scopes : 'true' }
+  });
+  var scopes = new tabbii.social.scopes.manager(google, { scopes : ['openid', 'email'] });
+
+@namespace tabbii.social.scopes.oauth2
+@constructor
+@arg {Object} options
+@arg {string} options.authorize_url - the provider's authorization endpoint.
+@arg {string} options.client_id - the app's client id.
+@arg {string} [options.redirect_uri] - where the provider returns to. Defaults to the current page.
+@arg {string} [options.response_type=token] - `token`, or `token id_token` for OpenID Connect.
+@arg {Object} [options.params] - further parameters for the authorization endpoint, such as `prompt`.
+@arg {string} [options.revoke_url] - the provider's revocation endpoint. Only the whole token can be revoked, not a single scope.
+@arg {string} [options.popup_features=width=500,height=600] - features passed to `window.open`.
+@arg {number} [options.poll_interval=250] - milliseconds between checks of the popup's location.
+*/
+tabbii.social.scopes.oauth2 = (function(options){
+  // Internally, reference all accessible variables via "scope"
+  var scope = this;
+  options = _.defaults({}, options, {
+    redirect_uri : URI(window.location.href).fragment('').toString(),
+    response_type : 'token',
+    params : {},
+    popup_features : 'width=500,height=600',
+    poll_interval : 250
+  });
+  var statuses = {};
+
+  /**
+  The access token from the last completed dialog, or null.
+  @type string
+  @memberof tabbii.social.scopes.oauth2
+  @instance
+  */
+  scope.access_token = null;
+  /**
+  When the access token expires, in milliseconds since the epoch.
+  @type number
+  @memberof tabbii.social.scopes.oauth2
+  @instance
+  */
+  scope.expires_at = null;
+  /**
+  Claims of the last OpenID Connect ID token, or null.
+  @type Object
+  @memberof tabbii.social.scopes.oauth2
+  @instance
+  */
+  scope.claims = null;
+
+  var random = function(){
+    return Math.random().toString(36).slice(2) + _.now().toString(36);
+  }
+
+  var granted = function(){
+    return _.filter(_.keys(statuses), function(name){ return statuses[name] == 'granted' });
+  }
+
+  var authorize_url = function(requested, state, nonce){
+    var params = {
+      client_id : options.client_id,
+      redirect_uri : options.redirect_uri,
+      response_type : options.response_type,
+      // Ask for the scopes already granted too, so the new token covers them.
+      scope : _.union(granted(), requested).join(' '),
+      state : state
+    };
+    if(/id_token/.test(options.response_type)) params.nonce = nonce;
+    return URI(options.authorize_url).query(_.extend(params, options.params)).toString();
+  }
+
+  var decode_claims = function(id_token){
+    try {
+      var payload = id_token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(window.atob(payload));
+    } catch(e) {
+      return null;
+    }
+  }
+
+  var receive = function(response, requested, state, nonce){
+    if(response.state != state) {
+      console.warn("OAuth response state mismatch");
+      return false;
+    }
+    if(response.error || !response.access_token) return false;
+    if(response.id_token) {
+      var claims = decode_claims(response.id_token);
+      if(!claims || claims.nonce != nonce) {
+        console.warn("OpenID Connect nonce mismatch");
+        return false;
+      }
+      scope.claims = claims;
+    }
+    scope.access_token = response.access_token;
+    scope.expires_at = response.expires_in ? _.now() + response.expires_in*1000 : null;
+    var reported = response.scope ? _.compact(response.scope.split(/[\s,]+/)) : _.union(granted(), requested);
+    _.each(_.union(requested, _.keys(statuses)), function(name){
+      statuses[name] = _.contains(reported, name) ? 'granted' : 'declined';
+    });
+    _.each(reported, function(name){ statuses[name] = 'granted' });
+    return true;
+  }
+
+  /**
+  Calls back with the status of every scope known to the adapter.
+
+  @arg {function} callback
+  @function fetch
+  @memberof tabbii.social.scopes.oauth2
+  @instance
+  */
+  scope.fetch = function(callback){
+    var expired = scope.expires_at && scope.expires_at <= _.now();
+    callback(_.map(statuses, function(status, name){
+      return { permission : name, status : expired && status == 'granted' ? 'expired' : status };
+    }));
+  }
+
+  /**
+  Opens the consent popup for the scopes, calling back with whether it completed.
+
+  @arg {string[]} requested - scopes to request.
+  @arg {function} callback
+  @function request
+  @memberof tabbii.social.scopes.oauth2
+  @instance
+  */
+  scope.request = function(requested, callback){
+    var state = random();
+    var nonce = random();
+    var popup = window.open(authorize_url(requested, state, nonce), 'tabbii_oauth2', options.popup_features);
+    if(!popup) {
+      console.warn("OAuth popup blocked");
+      return callback(false);
+    }
+    var timer = setInterval(function(){
+      if(popup.closed) {
+        clearInterval(timer);
+        return callback(false);
+      }
+      // The popup is cross-origin, and unreadable, until it returns from the provider.
+      try {
+        var location = popup.location.href;
+      } catch(e) {
+        return;
+      }
+      if(!location || location.indexOf(options.redirect_uri.split('?')[0]) !== 0) return;
+      clearInterval(timer);
+      popup.close();
+      var returned = URI(location);
+      callback(receive(URI.parseQuery(returned.fragment() || returned.query()), requested, state, nonce));
+    }, options.poll_interval);
+  }
+
+  /**
+  Revokes the token at `revoke_url`, and with it every granted scope.  
+  Calls back with `unsupported` if a scope is named, as the token cannot be narrowed.
+
+  @arg {string} [name] - must be omitted.
+  @arg {function} callback - called with a reason and error if revoking failed.
+  @function revoke
+  @memberof tabbii.social.scopes.oauth2
+  @instance
+  */
+  scope.revoke = function(name, callback){
+    if(name || !options.revoke_url) return callback('unsupported');
+    if(!scope.access_token) return callback('not_connected');
+    $.ajax({
+      url : options.revoke_url,
+      type : 'post',
+      data : { token : scope.access_token },
+      success : function(){
+        statuses = {};
+        scope.access_token = null;
+        scope.expires_at = null;
+        scope.claims = null;
+        callback();
+      },
+      error : function(xhr){ callback('error', xhr) }
+    });
+  }
+
+});
@@ -0,0 +1,368 @@
+//=require jquery
+//=require underscore
+//=require tabbii/social
+//=require tabbii/internals/stack_callback
+;/**
+Provider agnostic tracking of the scopes a user has granted, for requesting each scope at the time it is required.
+
+A _manager_ keeps the granted, declined and expired scopes reported by an adapter for one provider, triggers `permission_change` and `permissions_granted` as they change, and asks the adapter to open a consent dialog for scopes which are missing.
+_tabbii.social.facebook.user.permissions_ is a manager with a Facebook adapter. {@link tabbii.social.scopes.oauth2} is an adapter for any OAuth 2.0 or OpenID Connect provider which can consent in a popup.
+
+An adapter is an object implementing:
+
+- `fetch(callback)` - calls back with an array of `{permission, status}` objects, where status is `granted`, `declined` or `expired`.
+- `request(scopes, callback)` - opens a consent dialog for the scopes, calling back with `true` once it completes, `false` if it was cancelled, or a reason string if it could not open. A second argument of `true` tells the manager the adapter already updated it as the dialog closed, so the scopes are not fetched again.
+- `revoke(scope, callback)` - optional, revokes a granted scope, or every scope when none is named, calling back with a reason and error if it failed. Adapters which cannot revoke what is asked call back with `unsupported`.
+
+@example
+  //=require tabbii/social/scopes/oauth2
+
+  var google = new tabbii.social.scopes.manager(new tabbii.social.scopes.oauth2({
+    authorize_url : 'https://accounts.google.com/o/oauth2/v2/auth',
+    client_id : '1234.apps.googleusercontent.com',
+    params : { include_granted_scopes : 'true' }
+  }), { scopes : ['openid', 'email'] });
+
+  $('#attach').click(function(event){
+    google.request(event, 'https://www.googleapis.com/auth/drive.file').then(pick_file);
+  });
+
+@namespace tabbii.social.scopes
+*/
+tabbii.social.scopes = (function($){
+  var stack_callback = tabbii.internals.stack_callback;
+  var scopes = {
+    /**
+    Tracks the scopes granted to one provider through an adapter.
+
+    @constructor
+    @memberof tabbii.social.scopes
+    @arg {Object} adapter - the provider's adapter, see {@link tabbii.social.scopes}.
+    @arg {Object} [options]
+    @arg {(string[]|function)} [options.scopes] - scopes the app may request, or a function returning them. Scopes requested later are added with `add`.
+    @arg {function} [options.add] - called with scopes passed to `add` in place of keeping them in the manager.
+    @arg {Object} [options.callbacks] - existing `permission_change` and `permissions_granted` stacks to trigger, otherwise the manager creates its own.
+    */
+    manager : function(adapter, options){
+      // Internally, reference all accessible variables via "scope"
+      var scope = this;
+      options = options || {};
+      var listed = new Array;
+
+      /**
+      Callback stacks for the provider's scopes.
+
+      @prop {tabbii.internals.stack_callback} permission_change - triggered on any change in granted scopes. Callbacks receive, and are bound to, an object containing three arrays, `granted`, `revoked` and `declined`. The last 10 changes can be replayed with `replay`.
+      @prop {tabbii.internals.stack_callback} permissions_granted - triggered when all scopes the app may request are granted.
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.callbacks = _.defaults(_.pick(options.callbacks || {}, 'permission_change', 'permissions_granted'), {
+        permission_change : new stack_callback({refire:true, requeue:true, history:10}),
+        permissions_granted : new stack_callback
+      });
+      _.extend(scope, stack_callback.events(scope.callbacks));
+
+      /**
+      The adapter for the provider.
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.adapter = adapter;
+      /**
+      All scopes that have been granted on request.
+      @type string[]
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.current = new Array;
+      /**
+      All scopes that the user has declined.
+      @type string[]
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.declined = new Array;
+      /**
+      All scopes that were granted but have since expired.
+      @type string[]
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.expired = new Array;
+      /**
+      Status of every scope reported by the provider, keyed by scope name.
+      @type Object.<string, string>
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.statuses = {};
+
+      var with_status = function(list, status){
+        return _.chain(list).where({status : status}).pluck('permission').value();
+      }
+
+      /**
+      Fetches the scopes from the provider and updates the manager.
+
+      @arg {function} [callback] - called once updated.
+      @function get
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.get = function(callback){
+        adapter.fetch(function(list){
+          scope.update(list);
+          if(_.isFunction(callback)) callback();
+        });
+      }
+
+      /**
+      Replaces the known scopes, triggering `permission_change` for changes to scopes the app may request and `permissions_granted` or stopping it.
+
+      @arg {Object[]} list - `{permission, status}` objects, as fetched by an adapter.
+      @function update
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.update = function(list){
+        var previous_current = scope.current;
+        var previous_declined = scope.declined;
+        scope.current = with_status(list, 'granted');
+        scope.declined = with_status(list, 'declined');
+        scope.expired = with_status(list, 'expired');
+        scope.statuses = _.object(_.pluck(list, 'permission'), _.pluck(list, 'status'));
+        // Only report changes to scopes the app may request, intersecting to remove irrelevant ones.
+        var all = scope.all();
+        var changes = {
+          granted : _.intersection(_.difference(scope.current, previous_current), all),
+          revoked : _.intersection(_.difference(previous_current, scope.current), all),
+          declined : _.intersection(_.difference(scope.declined, previous_declined), all)
+        }
+        if(changes.granted.length || changes.revoked.length || changes.declined.length) {
+          scope.callbacks.permission_change.bind = changes;
+          scope.callbacks.permission_change.trigger(changes);
+        }
+        // Trigger things when conditions are met
+        if(scope.includes(all)) {
+          scope.callbacks.permissions_granted.trigger();
+        } else {
+          // Prevent callbacks happening later down the track.
+          scope.callbacks.permissions_granted.empty();
+          scope.callbacks.permissions_granted.stop();
+        }
+      }
+
+      /**
+      Checks if scope(s) are granted by the user.
+
+      @arg {(string|string[])} required - scope(s) to check.
+      @returns {boolean} - whether all the queried scopes are granted.
+      @function includes
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.includes = function(required){
+        // Looking for zero missing scopes
+        return !scope.missing(required).length;
+      }
+
+      /**
+      Checks if scope(s) have been declined by the user, as opposed to never requested.
+
+      @arg {(string|string[])} required - scope(s) to check.
+      @returns {boolean} - whether all the queried scopes are declined.
+      @function was_declined
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.was_declined = function(required){
+        return !_.difference(_.flatten([required]), scope.declined).length;
+      }
+
+      /**
+      Checks if scope(s) were granted but have since expired.
+
+      @arg {(string|string[])} required - scope(s) to check.
+      @returns {boolean} - whether all the queried scopes are expired.
+      @function has_expired
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.has_expired = function(required){
+        return !_.difference(_.flatten([required]), scope.expired).length;
+      }
+
+      /**
+      Looks up the status the provider reported for a scope.
+
+      @arg {string} name - scope to check.
+      @returns {(string|undefined)} - `granted`, `declined`, `expired` or undefined if never requested.
+      @function status_of
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.status_of = function(name){
+        return scope.statuses[name];
+      }
+
+      /**
+      Finds which scopes are not granted by the user.
+
+      @arg {(string|string[])} required - scope(s) to check.
+      @returns {string[]} - scopes which are not granted.
+      @function missing
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.missing = function(required){
+        return _.difference(_.flatten([required]), scope.current);
+      }
+
+      /**
+      Lists all scopes which the app could currently request.
+
+      @returns {string[]} - scopes which are possibly granted.
+      @function all
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.all = function(){
+        return _.union(_.result(options, 'scopes') || [], listed);
+      }
+
+      /**
+      Finds which scopes the app has not previously considered requesting.
+
+      @arg {(string|string[])} required - scope(s) to check.
+      @returns {string[]} - scopes which have not been considered yet by the app.
+      @function not_listed
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.not_listed = function(required){
+        return _.difference(_.flatten([required]), scope.all());
+      }
+
+      /**
+      Adds scope(s) to those the app may request, so the manager may keep track of them.
+
+      @arg {(string|string[])} names - scope(s) to add.
+      @function add
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.add = function(names){
+        var required = _.flatten([names]);
+        if(options.add) return options.add(required);
+        _.each(required, function(name){ listed.push(name) });
+      }
+
+      /**
+      Describes the result of a request against the scopes now granted.
+
+      @arg {string[]} requested - scopes requested.
+      @arg {string[]} previous - scopes granted before the request.
+      @returns {tabbii.social.scopes.outcome}
+      @function outcome
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.outcome = function(requested, previous){
+        var granted = _.intersection(requested, scope.current);
+        return {
+          granted : granted,
+          declined : _.difference(requested, granted),
+          newly_granted : _.difference(granted, previous)
+        }
+      }
+
+      /**
+      Checks whether a consent dialog which completed was dismissed: it neither granted nor newly declined any of the requested scopes.
+      Some providers complete the dialog even when it is closed, as Facebook does for a connected user.
+
+      @arg {string[]} requested - scopes requested.
+      @arg {string[]} previous - scopes granted before the request.
+      @arg {string[]} previous_declined - scopes declined before the request.
+      @returns {boolean}
+      @function dismissed
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.dismissed = function(requested, previous, previous_declined){
+        if(scope.outcome(requested, previous).newly_granted.length) return false;
+        return !_.difference(_.intersection(requested, scope.declined), previous_declined).length;
+      }
+
+      var reject = function(deferred, reason, requested, previous){
+        return deferred.reject($.extend({reason : reason}, scope.outcome(requested, previous))).promise();
+      }
+
+      /**
+      Requests scope(s) from the user if they are not already granted, opening the adapter's consent dialog.
+      Must be called from a click event (or passed one in the first parameter) so the dialog is not blocked.
+
+      @arg {jQuery.Event} trigger_event - the event which triggers this request.
+      @arg {(string|string[])} [required] - scope(s) to request, defaults to all the app may request.
+      @returns {jQuery.Promise} - resolved with a {@link tabbii.social.scopes.outcome} or rejected with one extended with a `reason`, which is `not_evented`, `cancelled`, `partially_declined` or one the adapter gave for not opening its dialog. A dialog which was `dismissed` is `cancelled`.
+      @function request
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.request = function(trigger_event, required){
+        var deferred = $.Deferred();
+        if(!trigger_event || !trigger_event.preventDefault) {
+          console.warn("Scope request not evented");
+          return reject(deferred, 'not_evented', [], []);
+        }
+        trigger_event.preventDefault();
+        var requested = _.flatten([required || scope.all()]);
+        scope.add(scope.not_listed(requested));
+        var previous = scope.current.slice(0);
+        var previous_declined = scope.declined.slice(0);
+        var settle = function(){
+          if(scope.includes(requested)) return deferred.resolve(scope.outcome(requested, previous));
+          reject(deferred, scope.dismissed(requested, previous, previous_declined) ? 'cancelled' : 'partially_declined', requested, previous);
+        }
+        if(scope.includes(requested)) {
+          settle();
+        } else {
+          adapter.request(scope.missing(requested), function(completed, updated){
+            if(completed !== true) return reject(deferred, completed || 'cancelled', requested, previous);
+            updated ? settle() : scope.get(settle);
+          });
+        }
+        return deferred.promise();
+      }
+
+      /**
+      Revokes a single scope the user has granted, or every scope if none is named, triggering `permission_change` once the provider confirms it.  
+      Not every provider can revoke a single scope: {@link tabbii.social.scopes.oauth2} can only revoke the whole token, and Facebook only single permissions.
+
+      @arg {string} [name] - scope to revoke.
+      @returns {jQuery.Promise} - resolved with the scopes still granted, or rejected with an object containing the `reason` and any `error`. The reason is `unsupported` if the adapter cannot revoke what was asked.
+      @function revoke
+      @memberof tabbii.social.scopes.manager
+      @instance
+      */
+      scope.revoke = function(name){
+        var deferred = $.Deferred();
+        if(!adapter.revoke) return deferred.reject({ reason : 'unsupported' }).promise();
+        adapter.revoke(name, function(reason, error){
+          if(reason) return deferred.reject({ reason : reason, error : error });
+          scope.get(function(){ deferred.resolve(scope.current) });
+        });
+        return deferred.promise();
+      }
+    }
+  };
+  /**
+  Result of a scope request.
+  @typedef {Object} tabbii.social.scopes.outcome
+  @prop {string[]} granted - requested scopes which are granted.
+  @prop {string[]} declined - requested scopes which are not granted.
+  @prop {string[]} newly_granted - requested scopes granted during this request.
+  */
+
+  return scopes;
+})(jQuery)
@@ -12,31 +12,49 @@ The _stack_callback_ can be stopped at any time to resume queuing.
 Callbacks queues can be created which trigger on edge events.
 
 Alternatively, if `refire` and `requeue` options are used, the _stack_callback_ will be stopped once emptied and all functions moved back on to the queue. 
+
+A callback which throws does not prevent the rest of the stack from being invoked. The error is passed to listeners added with `addErrorEventListener`, or logged if there are none.
+
+With the `async` option, a callback returning a promise (any object with a `then` method) is waited on before the next callback is invoked.
+
+Callbacks pushed with `push_with_priority` are invoked before those with a lower priority. Callbacks pushed with `push` have a priority of 0.
+
+Arguments passed to `trigger` are passed on to every callback, including those pushed later while the _stack_callback_ remains triggered. A `refire` _stack_callback_ stops as soon as it is emptied, so callbacks pushed later wait for the next trigger instead. With the `history` option, the arguments of the last few triggers are kept and can be replayed to a callback, which is the only way to receive earlier payloads from a `refire` _stack_callback_.
 @typedef {Object} tabbii.internals.stack_callback
 @namespace tabbii.internals.stack_callback
 @constructor
-@prop {Object} bind|options - scope for callback or an object of options
+@prop {Object} bind|options - scope for callback or an object of options (`bind`, `refire`, `requeue`, `history`, `async`, `prepopulated_stack`, `trigger_callback`, `stop_callback`, `error_callback`)
 @prop {Array} [prepopulated_stack] - functions to add to the queue on construction.
 */
 tabbii.internals.stack_callback = (function(bind, prepopulated_stack){
   // Internally, reference all accessible variables via "scope"
   var scope = this;
   var triggered = false;
-  var trigger_event_listener, stop_event_listener;
+  var last_args = [];
+  var history = [];
+  var history_length = 0;
+  var draining = false;
+  var requeue_copy = [];
+  var priorities = [];
+  var trigger_event_listener, stop_event_listener, error_event_listener;
   if(arguments.length == 1 && 'object' == typeof arguments[0]){
     var options            = arguments[0];
     scope.bind             = options.bind;
     scope.refire           = options.refire;
     scope.requeue          = options.requeue;
+    scope.async            = options.async;
+    history_length         = options.history || 0;
     prepopulated_stack     = options.prepopulated_stack;
     _.defer(function(){
       scope.addTriggerEventListener(options.trigger_callback);
       scope.addStopEventListener(options.stop_callback);
+      scope.addErrorEventListener(options.error_callback);
     })
   } else {
     scope.bind = bind || undefined;
     scope.refire = false;
     scope.requeue = false;
+    scope.async = false;
   }
   
   var stack = new Array
@@ -56,21 +74,53 @@ tabbii.internals.stack_callback = (function(bind, prepopulated_stack){
     return scope; // for chaining
   }
 
+  /**
+  Add callbacks to the stack, to be invoked before callbacks with a lower priority.
+  @prop {number} priority - higher priorities are invoked first. Callbacks added with `push` have a priority of 0.
+  @prop {(function|function[])} callback - functions to append to the queue
+  
+  @function push_with_priority
+  @memberof tabbii.internals.stack_callback
+  @instance
+  @example
+    tabbii.social.facebook.callbacks.connected.push_with_priority(10, restore_session);
+  */
+  scope.push_with_priority = function(priority){
+    var callbacks = _.rest(arguments);
+    _.each(callbacks, function(callback){
+      priorities.push({ callback : callback, priority : priority });
+    });
+    stack.push.apply(stack, callbacks);
+    return scope; // for chaining
+  }
+
   /**
   Begin invoking functions on the stack and continue to invoke any functions immediately when added.
   
+  Any arguments are passed to each callback, and to trigger event listeners.
+  
+  @prop {...*} [payload] - arguments for the callbacks.
   @function trigger
   @memberof tabbii.internals.stack_callback
   @instance
+  @example
+    var changed = new tabbii.internals.stack_callback
+    changed.push(function(value){ console.log(value) });
+    changed.trigger('new value'); // logs "new value"
   */
   scope.trigger = function(){
     if(triggered) return false;
     triggered = true;
-    dequeue();
+    last_args = _.toArray(arguments);
+    if(history_length) {
+      history.push({ bind : scope.bind, args : last_args });
+      history.splice(0, history.length - history_length);
+    }
     watch_stack();
+    dequeue();
     
     if(trigger_event_listener instanceof scope.constructor)
-      trigger_event_listener.trigger();   
+      trigger_event_listener.trigger.apply(trigger_event_listener, last_args);   
   }
 
   /**
@@ -100,7 +150,11 @@ tabbii.internals.stack_callback = (function(bind, prepopulated_stack){
   @instance
   */
   scope.remove = function(callback_to_remove){
+    // Also drop it from the copy waiting to be requeued, in case it is removed while the stack is being triggered.
+    requeue_copy = _.without(requeue_copy, callback_to_remove);
+    if(!_.contains(stack, callback_to_remove)) return;
     stack.splice( _.indexOf(stack, callback_to_remove), 1 );
+    priorities = _.reject(priorities, function(entry){ return entry.callback === callback_to_remove });
   }
   
   /**
@@ -162,11 +216,110 @@ tabbii.internals.stack_callback = (function(bind, prepopulated_stack){
     stop_event_listener.push(responder);
   }
   
+  /**
+  Returns the arguments of the most recent trigger.
+  
+  @returns {Array} - arguments passed to the last `trigger`, empty if never triggered.
+  @function last
+  @memberof tabbii.internals.stack_callback
+  @instance
+  */
+  scope.last = function(){
+    return last_args.slice(0);
+  }
+  
+  /**
+  Invokes a callback once for each recorded trigger, oldest first, with the arguments and `bind` of that trigger. 
+  
+  Only the number of triggers set by the `history` option are recorded.
+  
+  @prop {function} callback - function to replay the triggers to.
+  @function replay
+  @memberof tabbii.internals.stack_callback
+  @instance
+  @example
+    var changes = new tabbii.internals.stack_callback({refire:true, requeue:true, history:5});
+    // ... later, in a module loaded after some changes happened
+    changes.replay(render_change);
+    changes.push(render_change);
+  */
+  scope.replay = function(callback){
+    _.each(history.slice(0), function(entry){
+      callback.apply(entry.bind, entry.args);
+    });
+    return scope; // for chaining
+  }
+  
+  /**
+  Removes a callback added with `addTriggerEventListener`. Must be a reference to the exact instance which was originally added.
+  
+  @prop {function} callback - the responder to remove.
+  @function removeTriggerEventListener
+  @memberof tabbii.internals.stack_callback
+  @instance
+  */
+  scope.removeTriggerEventListener = function(responder){
+    if(trigger_event_listener instanceof scope.constructor) trigger_event_listener.remove(responder);
+  }
+
+  /**
+  Removes a callback added with `addStopEventListener`. Must be a reference to the exact instance which was originally added.
+  
+  @prop {function} callback - the responder to remove.
+  @function removeStopEventListener
+  @memberof tabbii.internals.stack_callback
+  @instance
+  */
+  scope.removeStopEventListener = function(responder){
+    if(stop_event_listener instanceof scope.constructor) stop_event_listener.remove(responder);
+  }
+  
+  /**
+  Add a callback to invoke whenever a callback on the _stack_callback_ throws, or returns a rejected promise with the `async` option. 
+  
+  The responder receives the error and the callback which raised it.
+  
+  Internally uses an instance of _stack_callback_ to manage a callback queue which can be added to at any time.
+  
+  @prop {(function|function[])} callback - functions to append to the event queue
+  @function addErrorEventListener
+  @memberof tabbii.internals.stack_callback
+  @instance
+  @example
+    tabbii.social.facebook.callbacks.connected.addErrorEventListener(function(error, callback){
+      console.error('A connected callback failed', error);
+    });
+  */
+  scope.addErrorEventListener = function(responder){
+    if('function' != typeof responder) return false;
+    if(!(error_event_listener instanceof scope.constructor)){
+      error_event_listener = new scope.constructor({
+        bind : scope.bind,
+        refire : true, 
+        requeue : true
+      });
+    }
+    error_event_listener.push(responder);
+  }
+  
+  /**
+  Returns the number of callbacks on the stack waiting to be invoked.
+  
+  @returns {number}
+  @function pending
+  @memberof tabbii.internals.stack_callback
+  @instance
+  */
+  scope.pending = function(){
+    return _.filter(stack, _.isFunction).length;
+  }
+  
   scope._debug = function(){
     console.log('Triggered:', triggered)
     console.log(stack);
     if(trigger_event_listener instanceof scope.constructor) trigger_event_listener._debug();
     if(stop_event_listener instanceof scope.constructor) stop_event_listener._debug();
+    if(error_event_listener instanceof scope.constructor) error_event_listener._debug();
   }
   
   /**
@@ -189,15 +342,67 @@ tabbii.internals.stack_callback = (function(bind, prepopulated_stack){
     }
   }
   
+  var priority_of = function(callback){
+    var entry = _.find(priorities, function(entry){ return entry.callback === callback });
+    return entry ? entry.priority : 0;
+  }
+  
+  // Removes the next callback to invoke: the first of those with the highest priority.
+  var take = function(){
+    if(!stack.length) return undefined;
+    var index = 0;
+    if(priorities.length){
+      _.each(stack, function(callback, i){
+        if(priority_of(callback) > priority_of(stack[index])) index = i;
+      });
+    }
+    return stack.splice(index, 1)[0];
+  }
+  
+  var report = function(error, callback){
+    if(error_event_listener instanceof scope.constructor) {
+      error_event_listener.trigger(error, callback);
+    } else {
+      console.error("Stack callback error", error, callback);
+    }
+  }
+  
+  var invoke = function(callback){
+    try {
+      return callback.apply(scope.bind, last_args);
+    } catch(error) {
+      report(error, callback);
+    }
+  }
+  
   var dequeue = function(){
     // This is where the magic happens
+    // Callbacks pushed while draining are picked up by the loop already running.
+    if(draining) return;
+    draining = true;
     if(scope.requeue){
-      var stack_copy = stack.slice(0);
+      requeue_copy = stack.slice(0);
     }
-    while(fn = stack.shift()){ // to reverse use 'pop' 
-      if('function' == typeof fn) (fn).apply(scope.bind);
-      //executed.push(fn);
-    } 
+    var next = function(){
+      var callback;
+      while(callback = take()){ // to reverse use 'pop' 
+        if('function' != typeof callback) continue;
+        var result = invoke(callback);
+        if(scope.async && result && 'function' == typeof result.then){
+          result.then(next, _.wrap(next, function(resume, error){
+            report(error, callback);
+            resume();
+          }));
+          return;
+        }
+      }
+      draining = false;
+      settle();
+    }
+    next();
+  }
+  
+  var settle = function(){
     if(scope.refire){
       if(stack.length) console.log("Stack error. Unexecuted functions remaining on stack", stack);
       // Once all current callbacks have been called, this point is reached.
@@ -208,14 +413,13 @@ tabbii.internals.stack_callback = (function(bind, prepopulated_stack){
       scope.stop();
       if(scope.requeue){
         // Push the array into stack (flattened)
-        Array.prototype.push.apply(stack, stack_copy);
+        Array.prototype.push.apply(stack, requeue_copy);
+        requeue_copy = [];
       }
     }
     if(!scope.refire && !!scope.requeue){
       console.log('Refire must be enabled to use Requeue');
     }
-    
-
   }
 
 });
@@ -239,6 +443,7 @@ For complex event sequences, _push_all_ will wait for all passed _stack_callback
 @static
 @memberof tabbii.internals.stack_callback
 @prop {tabbii.internals.stack_callback[]|function} arguments - multiple _stack_callback_ instances followed by a function
+@returns {Object} - a handle whose `dispose` method unregisters the callback and all listeners.
 
 */
 tabbii.internals.stack_callback.push_all = function(){
@@ -269,8 +474,298 @@ tabbii.internals.stack_callback.push_all = function(){
     var untriggered = _.bind(function(){
       this.triggered = false;
     }, stack)
+    stack.fire_if_ready = fire_if_ready;
+    stack.untriggered = untriggered;
     stack.stack_callback.push (fire_if_ready);
     stack.stack_callback.addTriggerEventListener (fire_if_ready);
     stack.stack_callback.addStopEventListener (untriggered);
   });
-}
+  return {
+    dispose : function(){
+      _.each(stacks, function(stack){
+        stack.stack_callback.remove (stack.fire_if_ready);
+        stack.stack_callback.removeTriggerEventListener (stack.fire_if_ready);
+        stack.stack_callback.removeStopEventListener (stack.untriggered);
+      });
+    }
+  }
+};
+
+(function(stack_callback){
+  var stacks_in = function(args){
+    return _.filter(args, function(argument){ return argument instanceof stack_callback });
+  }
+  
+  // Listens for both edges of every stack, returning a function to stop listening.
+  var watch = function(stacks, responder){
+    _.each(stacks, function(stack){
+      stack.addTriggerEventListener(responder);
+      stack.addStopEventListener(responder);
+    });
+    return function(){
+      _.each(stacks, function(stack){
+        stack.removeTriggerEventListener(responder);
+        stack.removeStopEventListener(responder);
+      });
+    }
+  }
+  
+  var triggered = function(stack){
+    return stack.state() == 'triggered';
+  }
+  
+  // A stack_callback which follows a condition on its inputs, with a dispose method to detach it.
+  var derive = function(stacks, condition){
+    var derived = new stack_callback;
+    var update = function(){
+      condition(stacks) ? derived.trigger() : derived.stop();
+    }
+    derived.dispose = watch(stacks, update);
+    update();
+    return derived;
+  }
+
+  /**
+  Creates a _stack_callback_ which is triggered while all of the passed _stack_callback_ s are triggered, and stopped as soon as any of them stops.
+  
+  Call `dispose` on the returned _stack_callback_ to stop following the inputs.
+  
+  @example
+    var ready = tabbii.internals.stack_callback.all(
+      tabbii.social.facebook.callbacks.loaded,
+      tabbii.social.facebook.callbacks.connected,
+      tabbii.social.facebook.user.callbacks.permissions_granted
+    );
+    ready.push(enable_posting);
+    ready.addStopEventListener(disable_posting);
+  
+  @static
+  @memberof tabbii.internals.stack_callback
+  @prop {tabbii.internals.stack_callback[]} arguments - the _stack_callback_ s to combine
+  @returns {tabbii.internals.stack_callback}
+  */
+  stack_callback.all = function(){
+    return derive(stacks_in(arguments), function(stacks){ return _.every(stacks, triggered) });
+  }
+  
+  /**
+  Creates a _stack_callback_ which is triggered while any of the passed _stack_callback_ s are triggered, and stopped once all of them stop.
+  
+  Call `dispose` on the returned _stack_callback_ to stop following the inputs.
+  
+  @static
+  @memberof tabbii.internals.stack_callback
+  @prop {tabbii.internals.stack_callback[]} arguments - the _stack_callback_ s to combine
+  @returns {tabbii.internals.stack_callback}
+  */
+  stack_callback.any = function(){
+    return derive(stacks_in(arguments), function(stacks){ return _.some(stacks, triggered) });
+  }
+  
+  /**
+  Creates a _stack_callback_ which is triggered when the second _stack_callback_ triggers after the first, while the first remains triggered. It stops when either stops.
+  
+  Call `dispose` on the returned _stack_callback_ to stop following the inputs.
+  
+  @example
+    // Only greet users who log in after the page has loaded, not returning users.
+    var fresh_login = tabbii.internals.stack_callback.sequence(
+      tabbii.social.facebook.callbacks.loaded,
+      tabbii.social.facebook.user.callbacks.begin_login
+    );
+  
+  @static
+  @memberof tabbii.internals.stack_callback
+  @prop {tabbii.internals.stack_callback} first
+  @prop {tabbii.internals.stack_callback} second
+  @returns {tabbii.internals.stack_callback}
+  */
+  stack_callback.sequence = function(first, second){
+    var derived = new stack_callback;
+    // Armed when the first triggers while the second is waiting.
+    var armed = triggered(first) && !triggered(second);
+    var first_triggered = function(){ armed = !triggered(second) }
+    var first_stopped = function(){ armed = false; derived.stop() }
+    var second_triggered = function(){ if(armed && triggered(first)) derived.trigger() }
+    var second_stopped = function(){ derived.stop() }
+    first.addTriggerEventListener(first_triggered);
+    first.addStopEventListener(first_stopped);
+    second.addTriggerEventListener(second_triggered);
+    second.addStopEventListener(second_stopped);
+    derived.dispose = function(){
+      first.removeTriggerEventListener(first_triggered);
+      first.removeStopEventListener(first_stopped);
+      second.removeTriggerEventListener(second_triggered);
+      second.removeStopEventListener(second_stopped);
+    }
+    return derived;
+  }
+  
+  /**
+  Invokes the final function once, as soon as any of the passed _stack_callback_ s is triggered.
+  
+  @example
+    tabbii.internals.stack_callback.push_any(
+      tabbii.social.facebook.callbacks.connected,
+      tabbii.social.facebook.callbacks.load_failed,
+      hide_spinner
+    );
+  
+  @static
+  @memberof tabbii.internals.stack_callback
+  @prop {tabbii.internals.stack_callback[]|function} arguments - multiple _stack_callback_ instances followed by a function
+  @returns {Object} - a handle whose `dispose` method unregisters the callback from all the _stack_callback_ s.
+  */
+  stack_callback.push_any = function(){
+    var stacks = stacks_in(arguments);
+    var callback = _.find(arguments, _.isFunction);
+    var fired = false;
+    var handle = { dispose : function(){
+      _.each(stacks, function(stack){ stack.remove(fire) });
+    } };
+    var fire = function(){
+      if(fired) return;
+      fired = true;
+      handle.dispose();
+      callback.apply(this, arguments);
+    }
+    _.each(stacks, function(stack){
+      // Pushing onto a triggered stack invokes immediately, so stop once fired.
+      if(!fired) stack.push(fire);
+    });
+    return handle;
+  }
+  
+  /**
+  Pushes a callback onto a _stack_callback_, giving up if it is not invoked within the time limit.
+  
+  @example
+    tabbii.internals.stack_callback.timeout(tabbii.social.facebook.callbacks.loaded, 5000, show_share_button, function(){
+      $('.facebook').hide();
+    });
+  
+  @static
+  @memberof tabbii.internals.stack_callback
+  @prop {tabbii.internals.stack_callback} stack - the _stack_callback_ to push on to.
+  @prop {number} milliseconds - how long to wait.
+  @prop {function} callback - invoked if the _stack_callback_ triggers in time.
+  @prop {function} [timeout_callback] - invoked if the time runs out first.
+  @returns {Object} - a handle whose `dispose` method cancels both the callback and the timer.
+  */
+  stack_callback.timeout = function(stack, milliseconds, callback, timeout_callback){
+    var timer, settled = false;
+    var handle = { dispose : function(){
+      clearTimeout(timer);
+      if(!settled) stack.remove(invoke);
+      settled = true;
+    } };
+    var invoke = function(){
+      if(settled) return;
+      settled = true;
+      clearTimeout(timer);
+      callback.apply(this, arguments);
+    }
+    stack.push(invoke);
+    if(!settled) timer = setTimeout(function(){
+      handle.dispose();
+      if(_.isFunction(timeout_callback)) timeout_callback();
+    }, milliseconds);
+    return handle;
+  }
+})(tabbii.internals.stack_callback);
+
+/**
+
+Creates `on`, `off`, `once` and `listening` methods for an object of named _stack_callback_ s, such as `tabbii.social.facebook.callbacks`.
+
+Handlers are invoked on every trigger with the trigger's arguments, and immediately if the _stack_callback_ is already triggered. Event names may carry namespaces after a dot, so handlers can be removed in bulk by namespace. Several events can be given separated by spaces.
+
+@example
+  var events = tabbii.internals.stack_callback.events(tabbii.social.facebook.callbacks);
+  events.on('connected.myWidget', show_widget);
+  events.on('unconnected.myWidget load_failed.myWidget', hide_widget);
+  // On Turbolinks page:fetch
+  events.off('.myWidget');
+
+@static
+@memberof tabbii.internals.stack_callback
+@prop {Object.<string, tabbii.internals.stack_callback>} callbacks - the _stack_callback_ s, keyed by event name.
+@returns {Object} - an object with `on`, `off`, `once` and `listening` methods.
+*/
+tabbii.internals.stack_callback.events = function(callbacks){
+  var handlers = new Array;
+  
+  var parse = function(events){
+    return _.map(_.compact(String(events).split(/\s+/)), function(event){
+      var parts = event.split('.');
+      return { name : parts[0], namespaces : _.compact(_.rest(parts)) };
+    });
+  }
+  
+  var matches = function(handler, event, callback){
+    if(event.name && handler.name != event.name) return false;
+    if(_.difference(event.namespaces, handler.namespaces).length) return false;
+    return !callback || handler.callback === callback;
+  }
+  
+  var add = function(events, callback, once){
+    _.each(parse(events), function(event){
+      var stack = callbacks[event.name];
+      if(!(stack instanceof tabbii.internals.stack_callback)) return console.warn("Unknown event", event.name);
+      var handler = _.extend({ callback : callback }, event);
+      handler.responder = function(){
+        if(once) remove(handler);
+        callback.apply(this, arguments);
+      }
+      handlers.push(handler);
+      stack.addTriggerEventListener(handler.responder);
+      if(stack.state() == 'triggered') handler.responder.apply(stack.bind, stack.last());
+    });
+  }
+  
+  var remove = function(handler){
+    callbacks[handler.name].removeTriggerEventListener(handler.responder);
+    handlers = _.without(handlers, handler);
+  }
+  
+  return {
+    /**
+    Invokes a handler whenever the named _stack_callback_ s trigger.
+    @prop {string} events - space separated event names, each optionally followed by `.namespace`s.
+    @prop {function} handler
+    */
+    on : function(events, handler){
+      add(events, handler, false);
+      return this; // for chaining
+    },
+    /**
+    Invokes a handler the next time the named _stack_callback_ s trigger, or now if already triggered.
+    @prop {string} events - space separated event names, each optionally followed by `.namespace`s.
+    @prop {function} handler
+    */
+    once : function(events, handler){
+      add(events, handler, true);
+      return this;
+    },
+    /**
+    Removes handlers by event name, namespace, handler or any combination. With no arguments all handlers are removed.
+    @prop {string} [events] - space separated event names and/or `.namespace`s.
+    @prop {function} [handler] - only remove this handler.
+    */
+    off : function(events, handler){
+      var targets = events ? parse(events) : [{ namespaces : [] }];
+      _.each(targets, function(event){
+        _.each(_.filter(handlers, function(existing){ return matches(existing, event, handler) }), remove);
+      });
+      return this;
+    },
+    /**
+    Checks whether any handler is bound to an event.
+    @prop {string} event - event name.
+    @returns {boolean}
+    */
+    listening : function(event){
+      return _.some(handlers, function(handler){ return handler.name == event });
+    }
+  }
+};
@@ -0,0 +1,226 @@
+//=require jquery
+//=require underscore
+//=require tabbii/defaults
+//=require tabbii/internals/stack_callback
+//=require tabbii/social/facebook
+//=require tabbii/social/facebook/user
+;/**
+Tracing of Facebook auth and permission state, for answering "why didn't my callback fire".
+
+Once required, every trigger and stop of the `tabbii.social.facebook.callbacks` and `tabbii.social.facebook.user.callbacks` stacks, every SDK status response, every `me/permissions` change and every login dialog is recorded with a timestamp in a ring buffer of `trace_size` entries.
+
+An overlay panel showing the live status, granted and declined permissions, the open and queued dialogs, the callbacks waiting on each stack and the latest entries can be shown with `inspector.show()`, or automatically with the `inspector` setting or `fb_inspector` in the page's query string.
+
+@example
+  //=require tabbii/social/facebook/trace
+
+  tabbii.social.facebook.trace.entries({ type : 'trigger' });
+  tabbii.social.facebook.trace.inspector.show();
+
+@namespace tabbii.social.facebook.trace
+*/
+tabbii.social.facebook.trace = (function($){
+  var facebook = tabbii.social.facebook;
+  var user = tabbii.social.facebook.user;
+  var buffer = new Array;
+  (function(){
+    tabbii.on('initializing', function(){
+      if(tabbii.defaults.facebook.inspector || /[?&]fb_inspector\b/.test(window.location.search)) {
+        $(function(){ trace.inspector.show() });
+      }
+    });
+  })();
+  /** @inner */
+  var trace = {
+    /**
+    Callback stacks for tracing.
+
+    @prop {tabbii.internals.stack_callback} recorded - triggered for every entry recorded. Callbacks receive the {@link tabbii.social.facebook.trace.entry}.
+    @memberof tabbii.social.facebook.trace
+    */
+    callbacks : {
+      recorded : new tabbii.internals.stack_callback({refire:true, requeue:true})
+    },
+    /**
+    Adds an entry to the trace, dropping the oldest once `trace_size` is reached.
+
+    @arg {string} type - `trigger`, `stop`, `status`, `permissions`, `dialog` or any type of the app's own.
+    @arg {string} source - what the entry is about, such as the stack name.
+    @arg {*} [details] - payload of the event.
+    @returns {tabbii.social.facebook.trace.entry}
+    @memberof tabbii.social.facebook.trace
+    */
+    record : function(type, source, details){
+      var entry = { time : _.now(), type : type, source : source, details : details };
+      buffer.push(entry);
+      buffer.splice(0, buffer.length - tabbii.defaults.facebook.trace_size);
+      trace.callbacks.recorded.trigger(entry);
+      return entry;
+    },
+    /**
+    Returns recorded entries, oldest first.
+
+    @arg {Object} [filter] - only return entries with matching properties, for example `{type : 'dialog'}`.
+    @returns {tabbii.social.facebook.trace.entry[]}
+    @memberof tabbii.social.facebook.trace
+    */
+    entries : function(filter){
+      return filter ? _.where(buffer, filter) : buffer.slice(0);
+    },
+    /**
+    Discards all recorded entries.
+
+    @memberof tabbii.social.facebook.trace
+    */
+    clear : function(){
+      buffer.splice(0, buffer.length);
+    }
+  };
+  /**
+  A recorded trace entry.
+  @typedef {Object} tabbii.social.facebook.trace.entry
+  @prop {number} time - milliseconds since the epoch.
+  @prop {string} type - `trigger`, `stop`, `status`, `permissions` or `dialog`.
+  @prop {string} source - the stack or SDK event the entry is about.
+  @prop {*} details - the payload, if any.
+  */
+
+  var hooks = {
+    stacks : function(prefix, callbacks){
+      _.each(callbacks, function(stack, name){
+        stack.addTriggerEventListener(function(payload){
+          trace.record('trigger', prefix + name, payload);
+        });
+        // Event stacks stop after every trigger, so only record stops of state stacks.
+        if(!stack.refire) stack.addStopEventListener(function(){
+          trace.record('stop', prefix + name);
+        });
+      });
+    },
+    sdk : function(){
+      // Before any other callback can check the status.
+      facebook.callbacks.loaded.push_with_priority(100, function(){
+        var sdk = facebook.sdk();
+        var get_login_status = sdk.getLoginStatus;
+        sdk.getLoginStatus = function(callback, force){
+          return get_login_status.call(sdk, function(response){
+            trace.record('status', 'getLoginStatus', response);
+            if(_.isFunction(callback)) return callback.apply(this, arguments);
+          }, force);
+        }
+        sdk.Event.subscribe('auth.authResponseChange', function(response){
+          trace.record('status', 'auth.authResponseChange', response);
+        });
+      });
+    },
+    permissions : function(){
+      user.callbacks.permission_change.push(function(changes){
+        trace.record('permissions', 'me/permissions', changes);
+      });
+    },
+    dialogs : function(){
+      user.callbacks.dialog_opened.push(function(request){
+        trace.record('dialog', 'opened', request);
+      });
+      user.callbacks.dialog_closed.push(function(result){
+        trace.record('dialog', 'closed', result);
+      });
+    }
+  };
+  hooks.stacks('facebook.', facebook.callbacks);
+  hooks.stacks('user.', user.callbacks);
+  hooks.sdk();
+  hooks.permissions();
+  hooks.dialogs();
+
+  /**
+  Overlay panel showing live auth and permission state and the latest trace entries.
+  @namespace tabbii.social.facebook.trace.inspector
+  */
+  trace.inspector = (function(){
+    var panel, open_dialog;
+    user.callbacks.dialog_opened.push(function(request){ open_dialog = request });
+    user.callbacks.dialog_closed.push(function(){ open_dialog = null });
+
+    var list = function(items){
+      return items.length ? items.join(', ') : '(none)';
+    }
+    var pending = function(){
+      var counts = [];
+      _.each({ 'facebook.' : facebook.callbacks, 'user.' : user.callbacks }, function(callbacks, prefix){
+        _.each(callbacks, function(stack, name){
+          if(stack.pending()) counts.push(prefix + name + ' ' + stack.pending());
+        });
+      });
+      return counts;
+    }
+    var describe = function(entry){
+      var time = new Date(entry.time).toTimeString().split(' ')[0];
+      var details = entry.details === undefined ? '' : ' ' + JSON.stringify(entry.details);
+      return time + ' ' + entry.type + ' ' + entry.source + details;
+    }
+    var render = _.throttle(function(){
+      if(!panel) return;
+      var rows = [
+        ['State', facebook.state],
+        ['SDK', facebook.callbacks.loaded.state() == 'triggered' ? 'loaded' : (facebook.callbacks.load_failed.state() == 'triggered' ? 'failed' : 'loading')],
+        ['Granted', list(user.permissions.current)],
+        ['Declined', list(user.permissions.declined)],
+        ['Dialog', open_dialog ? list(open_dialog.scope) : '(closed)'],
+        ['Queued', user.queued_dialog() ? list(user.queued_dialog().scope) : '(none)'],
+        ['Pending', list(pending())]
+      ];
+      panel.find('.fb-inspector-state').html(_.map(rows, function(row){
+        return $('<div>').append($('<b>').text(row[0] + ': '), $('<span>').text(row[1]));
+      }));
+      panel.find('.fb-inspector-trace').text(_.map(buffer.slice(-20).reverse(), describe).join('\n'));
+    }, 250);
+    trace.callbacks.recorded.push(render);
+
+    return {
+      /**
+      Adds the panel to the page.
+      @memberof tabbii.social.facebook.trace.inspector
+      */
+      show : function(){
+        if(panel) return;
+        panel = $('<div id="fb-inspector">').css({
+          position : 'fixed', bottom : 0, right : 0, zIndex : 100000, width : '420px', maxHeight : '50%', overflow : 'auto',
+          background : 'rgba(255,255,255,0.95)', border : '1px solid #3b5998', font : '11px monospace', padding : '6px'
+        });
+        panel.append($('<div class="fb-inspector-state">'), $('<pre class="fb-inspector-trace">').css({margin : '6px 0 0', whiteSpace : 'pre-wrap'}));
+        $('body').append(panel);
+        render();
+      },
+      /**
+      Removes the panel from the page.
+      @memberof tabbii.social.facebook.trace.inspector
+      */
+      hide : function(){
+        if(panel) panel.remove();
+        panel = null;
+      },
+      /**
+      Shows or hides the panel.
+      @memberof tabbii.social.facebook.trace.inspector
+      */
+      toggle : function(){
+        panel ? this.hide() : this.show();
+      }
+    };
+  })();
+
+  /**
+  Tracing settings, added to the Facebook tools settings.
+  @memberof tabbii.social.facebook.trace
+  @default
+  @prop {number} trace_size - number of entries kept in the trace.
+  @prop {boolean} inspector - show the inspector panel when the page loads.
+  */
+  _.defaults(tabbii.defaults.facebook, {
+    trace_size : 200,
+    inspector : false
+  });
+
+  return trace;
+})(jQuery)
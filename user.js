@@ -4,6 +4,7 @@
 //=require tabbii/init
 //=require tabbii/internals/stack_callback
 //=require tabbii/social/facebook
+//=require tabbii/social/scopes
 //=require tabbii/defaults
 ;/**
 Automatic handling of Facebook login and permissions.
@@ -33,68 +34,131 @@ tabbii.social.facebook.user = (function($){
     
     @prop {tabbii.internals.stack_callback} logged_in - triggered after Facebook connected via an implicit login.
     @prop {tabbii.internals.stack_callback} begin_login - triggered when a user initiates a login.
-    @prop {tabbii.internals.stack_callback} permissions_granted - triggered when all permissions currently in `basic_permissions` and `additional_permissions` arrays are granted.
-    @prop {tabbii.internals.stack_callback} permission_change - triggerd on any change in granted permissions (revocation or granting). Callbacks will be bound to an object containing two arrays, `granted` and `revoked`.
+    @prop {tabbii.internals.stack_callback} permissions_granted - triggered while the auth state is `connected_full`, when all permissions currently in `basic_permissions`, `additional_permissions` and the `features` manifest are granted.
+    @prop {tabbii.internals.stack_callback} permission_change - triggerd on any change in granted permissions (revocation, granting or declining). Callbacks receive, and are bound to, an object containing three arrays, `granted`, `revoked` and `declined`. The last 10 changes can be replayed with `replay`.
+    @prop {tabbii.internals.stack_callback} session_expiring - triggered `session_expiring_lead` seconds before the access token expires, just before a silent refresh is attempted. Callbacks receive, and are bound to, an object containing `expires_in`, the seconds remaining.
+    @prop {tabbii.internals.stack_callback} session_refreshed - triggered when an expiring or expired access token is replaced. Callbacks receive, and are bound to, an object containing `expires_in` for the new token.
+    @prop {tabbii.internals.stack_callback} session_expired - triggered while the auth state is `expired`, when the access token expires without being refreshed. Stopped once a new token arrives.
+    @prop {tabbii.internals.stack_callback} dialog_opened - triggered when a login dialog is opened. Callbacks receive an object containing the requested `scope` and whether it is a `rerequest`.
+    @prop {tabbii.internals.stack_callback} dialog_closed - triggered when a login dialog is closed. Callbacks receive an object containing the requested `scope` and the SDK's `response`.
+    @prop {tabbii.internals.stack_callback} permission_needed - triggered when a Graph API call made with `api` needs permissions which are not granted. Callbacks receive an object containing the `path`, the missing `permissions` and a `request` function to call from the app's own click handler with its event. The call stays pending until `request` is called. Without any callback, the permissions are requested on the user's next click anywhere on the page.
+    @prop {tabbii.internals.stack_callback} server_synced - triggered when the auth response has been posted to one of the `sync_urls`. Callbacks receive, and are bound to, an object containing the `event` (`connect`, `permission_change` or `logout`), the `payload` sent and the server's `response`.
     @memberof tabbii.social.facebook.user
     */
     callbacks : {
       logged_in : new tabbii.internals.stack_callback, 
       begin_login : new tabbii.internals.stack_callback, 
       permissions_granted : new tabbii.internals.stack_callback, 
-      permission_change : new tabbii.internals.stack_callback({refire:true, requeue:true})
+      permission_change : new tabbii.internals.stack_callback({refire:true, requeue:true, history:10}),
+      session_expiring : new tabbii.internals.stack_callback({refire:true, requeue:true}),
+      session_refreshed : new tabbii.internals.stack_callback({refire:true, requeue:true}),
+      session_expired : new tabbii.internals.stack_callback,
+      dialog_opened : new tabbii.internals.stack_callback({refire:true, requeue:true}),
+      dialog_closed : new tabbii.internals.stack_callback({refire:true, requeue:true}),
+      server_synced : new tabbii.internals.stack_callback({refire:true, requeue:true}),
+      permission_needed : new tabbii.internals.stack_callback({refire:true, requeue:true})
     },
     /**
+    Named actions invoked by elements bound with `data-fb-action` once their `data-fb-permissions` are granted, or by name from `request_permissions`.  
+    Each action is called with the element as `this`, the {@link tabbii.social.facebook.user.outcome}, the click event and any arguments from `data-fb-args`. When resumed after a redirect, `this` is the document and the event is undefined.  
+    Bound elements also trigger `fb:granted` or `fb:declined` DOM events, with the outcome or rejection and action name as extra parameters.
+
+    @type Object.<string, function>
+    @memberof tabbii.social.facebook.user
+    @example
+      <button data-fb-permissions="publish_actions,user_photos" data-fb-action="post_photo">Post</button>
+
+      tabbii.social.facebook.user.actions.post_photo = function(outcome, event){
+        FB.api('me/photos', {url: $(this).data('url')}, 'post', function(){});
+      };
+      $(document).on('fb:declined', '[data-fb-action=post_photo]', function(event, rejection){
+        $('#manual_share').show();
+      });
+    */
+    actions : {},
+    /**
     Begins monitoring for authorization state change.  
     Automatically invoked.
     
     @memberof tabbii.social.facebook.user
     */
     initialize : function(){
+      facebook.permissions_complete = function(){ return user.permissions.includes(permissions.all()) };
+      facebook.callbacks.state_change.push(status.derive);
       facebook.callbacks.connected.push(status.monitor);
+      cache.initialize();
+      redirect.resume();
+      sync.initialize();
+      tabs.initialize();
+      analytics.initialize();
       // Setup helpers
       helpers.deuthorize_button();
+      helpers.action_bindings();
+      helpers.state_classes();
     },
     /**
     If required, opens the Facebook login dialog, requesting `basic_permissions`.  
     When called, this method will check if the user is already logged in and provides all `basic_permissions`. If this is true, the function will not open the login dialog but will trigger `callbacks.logged_in`, which should already be triggered.  
-    If not directly called from a click event callback, it is likely the login dialog will fail to open.  
+    If not directly called from a click event callback, it is likely the login dialog will fail to open, unless `login_mode` allows a redirect to the login dialog instead.  
     jQuery will pass the trigger_event property if this method is bound directly.
 
-    @arg {jQuery.Event} trigger_event - the event which can open a popup window.
+    @arg {jQuery.Event} [trigger_event] - the event which can open a popup window.
+    @returns {jQuery.Promise} - resolved with a {@link tabbii.social.facebook.user.outcome} or rejected with a {@link tabbii.social.facebook.user.rejection}.
     @memberof tabbii.social.facebook.user
     @example
       $('button').click(tabbii.social.facebook.user.login);
     */
     login : function(trigger_event){
-      if(!trigger_event || !trigger_event.preventDefault) {
-        console.warn("Login call not evented"); return;
+      var deferred = $.Deferred();
+      var evented = !!(trigger_event && trigger_event.preventDefault);
+      if(!evented && !redirect.allowed()) {
+        console.warn("Login call not evented");
+        return outcome.reject(deferred, 'not_evented');
       }
-      trigger_event.preventDefault();
-      user.callbacks.login_begin.trigger();
+      if(evented) trigger_event.preventDefault();
+      if(!facebook.sdk()) return outcome.reject(deferred, 'sdk_not_loaded');
+      user.callbacks.begin_login.trigger();
+      var basic = permissions.basic();
+      var previous = user.permissions.current.slice(0);
+      var previous_declined = user.permissions.declined.slice(0);
+      var tracking = analytics.track('login', basic, undefined, deferred);
       // check for authorisation and permissions.
-      if( user.permissions.missing(permissions.basic()).length < 1 && facebook.status=='connected' ){
+      if( user.permissions.missing(basic).length < 1 && facebook.status=='connected' ){
         user.callbacks.logged_in.trigger();
-        return;
+        outcome.settle(deferred, basic, previous);
+        return deferred.promise();
       }
       // Otherwise
-      FB.login(function(response){
-        if(!response.authResponse) return false;
+      if(redirect.preferred(evented)) {
+        // The page navigates away, so the promise is left pending.
+        tracking.dialog('redirect');
+        redirect.begin(basic, previous);
+        return deferred.promise();
+      }
+      // Initially don't ask for extra permissions.
+      tracking.dialog('popup');
+      dialog.request(basic, false, function(response){
+        if(!response.authResponse) return outcome.reject(deferred, response.reason || 'cancelled', basic, previous);
         user.callbacks.logged_in.trigger();
-      }, {
-         scope: permissions.basic() // Initially don't ask for extra permissions.
-      })
+        outcome.settle(deferred, basic, previous, previous_declined);
+      });
+      return deferred.promise();
     },
     /** 
      Can be used to request all extended permissions set by the app or a specific set of permissions.  
      If a callback is provided it will be triggered if the permissions are granted but not queued for later.  
-     Must be called from a click event (or passed one in the first parameter).  
-     The callback will not be triggered if requested permissions are not granted.  
+     Each request opens its own dialog, unless `coalesce_requests` is on to share one between the requests made in the same tick. Requests made while a dialog is open wait for it to close and are settled by what it granted if it asked for their permissions, otherwise they are rejected with `needs_user_gesture`, as another dialog cannot open without a click.  
+     Must be called from a click event (or passed one in the first parameter), unless `login_mode` allows a redirect to the login dialog instead.  
+     To resume after a redirect, name an action from {@link tabbii.social.facebook.user.actions} in place of the callback. The action and its arguments are saved before navigating away and the action is invoked once the permissions are confirmed on return.  
+     The callback will not be triggered if requested permissions are not granted, use the returned promise to respond to refusal.  
      
      @method request_permissions
      @memberof tabbii/social/facebook/user
-     @arg {jQuery.Event} trigger_event - pass the event which triggers this request
+     @arg {jQuery.Event} [trigger_event] - pass the event which triggers this request
      @arg {(string|string[])} [permissions_required] - Facebook permission string or array of permissions
-     @arg {tabbii.social.facebook.user.granted_callback} [granted_callback] - Called when permission(s) granted
+     @arg {(tabbii.social.facebook.user.granted_callback|string)} [granted_callback] - Called when permission(s) granted, or the name of an action
+     @arg {Array} [action_args] - arguments for a named action, which must be serialisable as JSON
+     @returns {jQuery.Promise} - resolved with a {@link tabbii.social.facebook.user.outcome} or rejected with a {@link tabbii.social.facebook.user.rejection}.
      @memberof tabbii.social.facebook.user
      @example
        $('button').click(function(event){
@@ -106,6 +170,17 @@ tabbii.social.facebook.user = (function($){
          var button = $(this.target);
          FB.api('/me', {fields: 'email'}, function(response) { button.text(response.email) });
        }
+     @example
+       $('button').click(function(event){
+         tabbii.social.facebook.user.request_permissions(event, 'publish_actions')
+           .then(post, function(rejection){
+             if(rejection.reason == 'partially_declined') show_manual_share();
+           });
+       });
+     @example
+       // With login_mode 'auto', in-app browsers redirect to Facebook and post_photo runs on return.
+       tabbii.social.facebook.user.actions.post_photo = function(outcome, event, url){ ... };
+       tabbii.social.facebook.user.request_permissions(event, 'publish_actions', 'post_photo', [photo_url]);
      */
     /**
      Callback from a permissions request, only called when permission is immediately granted.  
@@ -113,64 +188,224 @@ tabbii.social.facebook.user = (function($){
      @this jQuery.Event
      @memberof tabbii.social.facebook.user
      @callback granted_callback
+     @arg {tabbii.social.facebook.user.outcome} outcome - permissions granted by the request.
      */
-    request_permissions : function(trigger_event, permissions_required, granted_callback){
-      if(!trigger_event || !trigger_event.preventDefault) {
-        console.warn("Login call not evented"); return;
+    request_permissions : function(trigger_event, permissions_required, granted_callback, action_args){
+      var deferred = $.Deferred();
+      var evented = !!(trigger_event && trigger_event.preventDefault);
+      if(!evented && !redirect.allowed()) {
+        console.warn("Login call not evented");
+        return outcome.reject(deferred, 'not_evented');
       }
-      trigger_event.preventDefault();
+      if(evented) trigger_event.preventDefault();
       if(_.isFunction(permissions_required)) {
         // permissions_required is optional.
         granted_callback = undefined;
         granted_callback = permissions_required;
         permissions_required = undefined;
       }
-      var new_permissions = user.permissions.not_listed(permissions_required);
-      user.permissions.add(new_permissions);
-      
-      var permissions = permissions_required || user.permissions.all()
-      if( ! user.permissions.includes(permissions) ){
-        FB.login(function(response){
-          if(!response.authResponse) return false;
-          status.discover(true);
-          // If a callback function is set, 
-          if(_.isFunction(granted_callback)) {
-            // force a check for the requested or required permissions
-            user.permissions.get(function(){
-              // and call the callback
-              if(user.permissions.includes(permissions)) 
-                _.bind(granted_callback, trigger_event)();
-            });
-          }
-        }, {
-           scope: permissions,
-           // Re-request, because we are asking for them, aren't we?
-           auth_type: 'rerequest'
-        })
+      if(_.isFunction(granted_callback)) deferred.done(_.bind(granted_callback, trigger_event));
+      if(_.isString(granted_callback)) deferred.done(function(result){
+        helpers.run_action(granted_callback, trigger_event, result, action_args);
+      });
+      if(!facebook.sdk()) return outcome.reject(deferred, 'sdk_not_loaded');
+      var permissions = _.flatten([permissions_required || user.permissions.all()]);
+      user.permissions.add(user.permissions.not_listed(permissions));
+      var previous = user.permissions.current.slice(0);
+      var tracking = analytics.track('request_permissions', permissions, _.isString(granted_callback) ? granted_callback : undefined, deferred);
+      if( user.permissions.includes(permissions) ){
+        outcome.settle(deferred, permissions, previous);
+      } else if( redirect.preferred(evented) ){
+        // The page navigates away, so the promise is left pending.
+        tracking.dialog('redirect');
+        redirect.begin(permissions, previous, _.isString(granted_callback) ? granted_callback : undefined, action_args);
       } else {
-        if(_.isFunction(granted_callback)) {
-          if(user.permissions.includes(permissions)) 
-            _.bind(granted_callback, trigger_event)();
-        }
+        // The manager re-requests through the adapter, because we are asking for them, aren't we?
+        tracking.dialog('popup');
+        user.permissions.request(trigger_event, permissions).then(deferred.resolve, deferred.reject);
+      }
+      return deferred.promise();
+    },
+    /**
+    Requests the permissions a feature from the `features` manifest requires, as {@link tabbii.social.facebook.user.request_permissions}.  
+    Without a callback, the action of the same name is invoked if there is one in {@link tabbii.social.facebook.user.actions}.
+
+    @arg {jQuery.Event} [trigger_event] - pass the event which triggers this request
+    @arg {string} feature - name of the feature in the manifest.
+    @arg {(tabbii.social.facebook.user.granted_callback|string)} [granted_callback] - Called when permission(s) granted, or the name of an action
+    @arg {Array} [action_args] - arguments for a named action, which must be serialisable as JSON
+    @returns {jQuery.Promise} - as `request_permissions`, or rejected with the reason `unknown_feature`.
+    @memberof tabbii.social.facebook.user
+    @example
+      tabbii.defaults.facebook.user.features = {
+        login : { permissions : ['email'], basic : true },
+        post_photo : ['publish_actions', 'user_photos']
+      };
+      $('#post_photo').click(function(event){
+        tabbii.social.facebook.user.request_feature(event, 'post_photo', upload);
+      });
+    */
+    request_feature : function(trigger_event, feature, granted_callback, action_args){
+      if(!features.defined(feature)) {
+        console.warn("Unknown feature", feature);
+        return outcome.reject($.Deferred(), 'unknown_feature');
       }
+      if(!granted_callback && _.isFunction(user.actions[feature])) granted_callback = feature;
+      return user.request_permissions(trigger_event, features.permissions(feature), granted_callback, action_args);
+    },
+    /**
+    Checks if every permission a feature requires is granted.
+
+    @arg {string} feature - name of the feature in the manifest.
+    @returns {boolean} - whether the feature can be used now. Always false for unknown features.
+    @memberof tabbii.social.facebook.user
+    */
+    can : function(feature){
+      if(!features.defined(feature)) return false;
+      return user.permissions.includes(features.permissions(feature));
     },
+    /**
+    Lists the features whose permissions are all granted.
+
+    @returns {string[]} - names of the available features.
+    @memberof tabbii.social.facebook.user
+    */
+    features_available : function(){
+      return _.filter(_.keys(tabbii.defaults.facebook.user.features), user.can);
+    },
+    /**
+    Calls the Graph API, first requesting any permissions the `endpoints` manifest lists for the path.  
+    If Facebook responds that a permission is missing, the granted permissions are refreshed and the missing ones requested before the call is retried. If the access token has expired, the login status is refreshed before retrying.  
+    Permissions are requested straight away when a trigger event is passed, otherwise the call waits for the app to request them through `callbacks.permission_needed`, or for the user's next click if nothing listens to it.
+
+    @arg {string} path - Graph API path.
+    @arg {Object} [params] - parameters for the call.
+    @arg {string} [method=get] - HTTP method.
+    @arg {jQuery.Event} [trigger_event] - the event which triggers this call, used to request missing permissions.
+    @returns {jQuery.Promise} - resolved with the response, or rejected with an object whose `reason` is `not_connected`, `permissions_declined` or `error`, and the Graph API `error` if any.
+    @memberof tabbii.social.facebook.user
+    @example
+      tabbii.defaults.facebook.user.endpoints = { 'post me/photos' : 'post_photo' };
+
+      $('#post').click(function(event){
+        tabbii.social.facebook.user.api('me/photos', {url : photo_url}, 'post', event)
+          .fail(function(rejection){ if(rejection.reason == 'permissions_declined') show_manual_share() });
+      });
+    */
+    api : function(path, params, method, trigger_event){
+      var deferred = $.Deferred();
+      graph.call(deferred, path, params || {}, (method || 'get').toLowerCase(), trigger_event, 0);
+      return deferred.promise();
+    },
+    /**
+    Logs the user out of the app, triggering `tabbii.social.facebook.callbacks.unconnected` and clearing the permissions, which fires `callbacks.permission_change`.  
+    By default only the app's session is ended and the user stays logged in to Facebook. Their status from the SDK is ignored until they next log in or request permissions, but they are connected again on the next page load unless also signed out on the server. Pass `true` to log out of Facebook as well.
+
+    @arg {boolean} [everywhere=false] - also log the user out of Facebook.
+    @returns {jQuery.Promise} - resolved with the new login status response.
+    @memberof tabbii.social.facebook.user
+    @example
+      $('#logout').click(function(){ tabbii.social.facebook.user.logout(); });
+    */
+    logout : function(everywhere){
+      var deferred = $.Deferred();
+      var signed_out = function(response){
+        status.maintain_session();
+        user.permissions.update([]);
+        tabs.broadcast({ type : 'status', status : 'unknown' });
+        deferred.resolve(response);
+      }
+      cache.clear();
+      if(everywhere && facebook.sdk() && facebook.sdk().getAuthResponse()) {
+        facebook.resume_session();
+        facebook.sdk().logout(function(response){
+          facebook.update_status(response);
+          signed_out(response);
+        });
+      } else {
+        facebook.end_session();
+        signed_out({ status : 'unknown', authResponse : null });
+      }
+      return deferred.promise();
+    },
+    /**
+    Removes the app from the user's Facebook account, revoking every permission.  
+    Posts the access token to `deauthorise_url` if configured, so the server can deauthorise, otherwise deletes `me/permissions` from the browser.  
+    On success the permissions are cleared, firing `callbacks.permission_change`, and the status is refreshed, firing `tabbii.social.facebook.callbacks.unconnected`.
+
+    @arg {function} [callback] - called with `true` if the app was deauthorised, otherwise `false`.
+    @returns {jQuery.Promise} - resolved when deauthorised, or rejected with an object whose `reason` is `not_connected` or `error`.
+    @memberof tabbii.social.facebook.user
+    */
     deauthorise : function(callback){
-      if(!FB.getAccessToken()){
+      var deferred = $.Deferred();
+      if(_.isFunction(callback)) deferred.always(function(){ callback(deferred.state() == 'resolved') });
+      if(!facebook.sdk() || !facebook.sdk().getAccessToken()){
         console.log('Not logged in.');
-        if('function' == typeof callback) callback(false);
-        return;
-      }
-      jQuery.ajax({
-        url:'/graph/deauthorise',
-        type:'post',
-        data: {access_token: FB.getAccessToken()},
-        success : disconnect,
-        error : disconnect,
-        complete : callback
-      })
+        return deferred.reject({ reason : 'not_connected' }).promise();
+      }
+      var disconnect = function(){
+        cache.clear();
+        permissions.update({ data : [] });
+        facebook.refresh_status(true);
+        deferred.resolve();
+      }
+      var failed = function(error){
+        deferred.reject({ reason : 'error', error : error });
+      }
+      var url = tabbii.defaults.facebook.user.deauthorise_url;
+      if(url) {
+        var csrf_token = sync.csrf_token();
+        jQuery.ajax({
+          url : url,
+          type : 'post',
+          data : {access_token: facebook.sdk().getAccessToken()},
+          headers : csrf_token ? {'X-CSRF-Token' : csrf_token} : {},
+          success : disconnect,
+          error : function(xhr){ failed(xhr) }
+        })
+      } else {
+        facebook.sdk().api('me/permissions', 'delete', function(response){
+          if(!response || response.error) return failed(response && response.error);
+          disconnect();
+        });
+      }
+      return deferred.promise();
     }
   }
 
+  /**
+  Result of a login or permissions request.
+  @typedef {Object} tabbii.social.facebook.user.outcome
+  @prop {string[]} granted - requested permissions which are granted.
+  @prop {string[]} declined - requested permissions which are not granted.
+  @prop {string[]} newly_granted - requested permissions granted during this request.
+  */
+  /**
+  Reason a login or permissions request failed, extending {@link tabbii.social.facebook.user.outcome}.  
+  `reason` is one of `not_evented`, `sdk_not_loaded`, `unknown_feature`, `needs_user_gesture`, `cancelled` or `partially_declined`. A dialog closed without granting or declining anything is `cancelled`, even when the user stays connected.
+  @typedef {Object} tabbii.social.facebook.user.rejection
+  @prop {string} reason - why the request was not fulfilled.
+  */
+  var outcome = {
+    build : function(requested, previous){
+      return user.permissions.outcome(requested, previous);
+    },
+    settle : function(deferred, requested, previous, previous_declined){
+      var result = outcome.build(requested, previous);
+      if(result.declined.length) {
+        var dismissed = previous_declined && user.permissions.dismissed(requested, previous, previous_declined);
+        outcome.reject(deferred, dismissed ? 'cancelled' : 'partially_declined', requested, previous);
+      } else {
+        deferred.resolve(result);
+      }
+    },
+    reject : function(deferred, reason, requested, previous){
+      var result = outcome.build(requested || [], previous || []);
+      return deferred.reject($.extend({reason : reason}, result)).promise();
+    }
+  };
+
   var status = {
     monitor : function(){
       status.discover();
@@ -184,146 +419,782 @@ tabbii.social.facebook.user = (function($){
     @memberof tabbii.social.facebook.user
     */
     discover : function(force_fresh){
-      FB.getLoginStatus(status.update, force_fresh)
+      facebook.sdk().getLoginStatus(status.update, force_fresh)
     },
     watch : function(){
-      FB.Event.subscribe('auth.authResponseChange', status.update);
+      facebook.sdk().Event.subscribe('auth.authResponseChange', status.update);
+    },
+    // Moves between connected_partial and connected_full as permissions change.
+    refine : function(){
+      // An expired session waits for a new token instead.
+      if(facebook.status != 'connected' || facebook.state == 'expired') return;
+      facebook.transition(facebook.permissions_complete() ? 'connected_full' : 'connected_partial');
+    },
+    // The user's callbacks which follow the auth state.
+    derive : function(change){
+      if(change.to == 'connected_full') {
+        user.callbacks.permissions_granted.trigger();
+      } else {
+        // Prevent callbacks happening later down the track.
+        user.callbacks.permissions_granted.empty();
+        user.callbacks.permissions_granted.stop();
+      }
+      if(change.to == 'expired') {
+        user.callbacks.session_expired.trigger();
+      } else {
+        user.callbacks.session_expired.stop();
+      }
     },
+    expires_at : null,
+    refreshing : false,
+    expiring_token : null,
     maintain_session : (function(){
-      var timer;
-      var watch_and_reset = function(){
+      var timers = [];
+      // setTimeout fires at once for delays over 2^31-1 ms (about 25 days), so long lived tokens are waited out in steps.
+      var at = function(time, callback, arg){
+        var delay = time - _.now();
+        if(delay > 0x7fffffff) return timers.push(_.delay(at, 0x7fffffff, time, callback, arg));
+        timers.push(_.delay(callback, Math.max(delay, 0), arg));
+      }
+      var expiring = function(token){
+        // Only warn and attempt a refresh once for each token.
+        if(status.expiring_token == token) return;
+        status.expiring_token = token;
+        status.refreshing = true;
+        var expiring = user.callbacks.session_expiring.bind = { expires_in : status.remaining() };
+        user.callbacks.session_expiring.trigger(expiring);
+        status.discover(true);
+      }
+      var expired = function(){
+        // Already expired, wait for a new token from auth.authResponseChange.
+        if(facebook.state == 'expired') return;
+        status.refreshing = true;
+        facebook.transition('expired');
         status.discover(true);
-        clearTimeout(timer);
       }
       return function(){
-        if(timer) clearTimeout(timer);
-        if(!FB.getAuthResponse()) return false;
-        var expires_in = FB.getAuthResponse().expiresIn;
-        timer = _.delay(watch_and_reset, expires_in*1000)
+        _.each(timers, clearTimeout);
+        timers = [];
+        var auth = !facebook.session_ended && facebook.sdk() && facebook.sdk().getAuthResponse();
+        if(!auth) {
+          status.expires_at = null;
+          return false;
+        }
+        var previous_expiry = status.expires_at;
+        status.expires_at = _.now() + auth.expiresIn*1000;
+        if(status.refreshing && status.expires_at > previous_expiry && status.expiring_token != auth.accessToken) {
+          status.refreshing = false;
+          var refreshed = user.callbacks.session_refreshed.bind = { expires_in : status.remaining() };
+          user.callbacks.session_refreshed.trigger(refreshed);
+        }
+        var remaining = status.expires_at - _.now();
+        if(remaining <= 0) return facebook.transition('expired');
+        var lead = tabbii.defaults.facebook.user.session_expiring_lead*1000;
+        at(status.expires_at - lead, expiring, auth.accessToken);
+        at(status.expires_at, expired);
       }
     })(),
+    /**
+    Seconds until the current access token expires.
+
+    @function session_remaining
+    @returns {number} - seconds remaining, or 0 if there is no session.
+    @memberof tabbii.social.facebook.user
+    */
+    remaining : function(){
+      if(!status.expires_at) return 0;
+      return Math.max(0, Math.round((status.expires_at - _.now()) / 1000));
+    },
     update : function(response){
-      facebook.status = response.status;
+      // The app's session was ended by logout.
+      if(facebook.session_ended) return;
+      cache.reconcile(response);
+      facebook.update_status(response);
       status.maintain_session();
       // But always check permission changes.
       facebook.callbacks.connected.push(permissions.api.get);
     }
   }
 
-  var permissions = (function(){
-    var permissions = {
-      /**
-      @namespace tabbii.social.facebook.user.permissions
-      */
-      api : {
-        /**
-        All permissions that have been granted on request.
-        @type string[]
-        @memberof tabbii.social.facebook.user.permissions
-        */
-        current : new Array,
-        get : function(callback){
-          FB.api('me/permissions', function(response){
-            update(response, callback);
-          });
-        },
-        /**
-        Checks if permission(s) are granted by the user.
-        
-        @arg {(string|string[])} required_permission - permission(s) to check.
-        @returns {boolean} - whether all the queried permissions are granted.
-        @memberof tabbii.social.facebook.user.permissions
-        */
-        includes : function(required_permission){
-          // Looking for zero missing permissions
-          return !permissions.api.missing(required_permission).length
-        },
-        /**
-        Finds which permissions are not granted by the user.
-        
-        @arg {(string|string[])} required_permission - permission(s) to check.
-        @returns {string[]} - permissions which are not granted.
-        @memberof tabbii.social.facebook.user.permissions
-        */
-        missing : function(required_permission){
-          var required_array = _.flatten([required_permission]);
-          return _.difference(required_array, permissions.api.current);
-        },
-        /**
-        Lists all permissions which the app could currently request. 
-        
-        @returns {string[]} - permissions which are possibly granted.
-        @memberof tabbii.social.facebook.user.permissions
-        */
-        all : function(){
-          return permissions.all()
-        },
-        /**
-        Finds which permissions the app has not previously considered requesting. 
-        
-        @arg {(string|string[])} required_permission - permission(s) to check.
-        @returns {string[]} - permissions which have not been considered yet by the app.
-        @memberof tabbii.social.facebook.user.permissions
-        */
-        not_listed : function(required_permission){
-          var required_array = _.flatten([required_permission]);
-          return _.difference(required_array, permissions.api.all());
+  /*
+  Opt-in persistence of the last `me/permissions` response, so permissions are known as soon as the user is connected, before Facebook responds.
+  Stored per app and user, so another user of the browser never sees them, and discarded when stale or on logout.
+  */
+  var cache = {
+    storage : function(){
+      var settings = tabbii.defaults.facebook.user;
+      if(!settings.cache) return null;
+      // Storage may be missing or throw, for example in private browsing.
+      try {
+        return window[settings.cache_storage] || null;
+      } catch(e) {
+        return null;
+      }
+    },
+    restored_user : null,
+    initialize : function(){
+      // Restore before any other connected callback runs, on every connection.
+      var restore = function(){
+        facebook.callbacks.connected.push_with_priority(100, cache.reconcile);
+      }
+      restore();
+      facebook.callbacks.connected.addStopEventListener(restore);
+    },
+    prefix : function(){
+      return 'tabbii.facebook.permissions.' + tabbii.defaults.facebook.app_id + '.';
+    },
+    key : function(user_id){
+      return cache.prefix() + user_id;
+    },
+    read : function(user_id){
+      var storage = cache.storage();
+      if(!storage) return null;
+      try {
+        var record = JSON.parse(storage.getItem(cache.key(user_id)));
+      } catch(e) {
+        return null;
+      }
+      if(!record || record.user_id != user_id || record.expires < _.now()) return null;
+      return record;
+    },
+    restore : function(user_id){
+      // Only once for each user, the cache is never fresher than me/permissions.
+      if(cache.restored_user == user_id) return;
+      cache.restored_user = user_id;
+      var record = cache.read(user_id);
+      if(record) permissions.update({ data : record.data });
+    },
+    store : function(response){
+      var storage = cache.storage();
+      var auth = facebook.sdk().getAuthResponse();
+      if(!storage || !response.data || !auth) return;
+      try {
+        storage.setItem(cache.key(auth.userID), JSON.stringify({
+          user_id : auth.userID,
+          data : response.data,
+          expires : _.now() + tabbii.defaults.facebook.user.cache_ttl * 1000
+        }));
+      } catch(e) {}
+    },
+    clear : function(){
+      var storage = cache.storage();
+      cache.restored_user = null;
+      if(!storage) return;
+      try {
+        var keys = _.map(_.range(storage.length), function(index){ return storage.key(index) });
+        _.each(keys, function(key){
+          if(key && key.indexOf(cache.prefix()) === 0) storage.removeItem(key);
+        });
+      } catch(e) {}
+    },
+    reconcile : function(response){
+      if(response.status == 'connected' && response.authResponse) return cache.restore(response.authResponse.userID);
+      cache.clear();
+    }
+  };
+
+  /*
+  Shares one login dialog between concurrent requests.
+  A request opens the dialog immediately, or on the next tick merged with the other requests of the same tick when `coalesce_requests` is on.
+  Requests made while a dialog is open join it when it asks for all their permissions. Otherwise they are answered straight away with
+  the reason `needs_user_gesture`, because a dialog opened once the first one closes would be blocked as a popup.
+  */
+  var dialog = {
+    batch : null,
+    open_batch : null,
+    request : function(scope, rerequest, callback){
+      var open = dialog.open_batch;
+      if(open) {
+        if(!_.difference(scope, open.scope).length && (open.rerequest || !rerequest)) return open.callbacks.push(callback);
+        return callback({ status : facebook.status, authResponse : null, reason : 'needs_user_gesture' });
+      }
+      if(!dialog.batch) {
+        dialog.batch = { scope : [], rerequest : false, callbacks : [] };
+        if(tabbii.defaults.facebook.user.coalesce_requests) _.defer(dialog.open);
+      }
+      dialog.batch.scope = _.union(dialog.batch.scope, scope);
+      dialog.batch.rerequest = dialog.batch.rerequest || rerequest;
+      dialog.batch.callbacks.push(callback);
+      if(!tabbii.defaults.facebook.user.coalesce_requests) dialog.open();
+    },
+    /**
+    The login dialog waiting to open on the next tick, when `coalesce_requests` is on.
+
+    @function queued_dialog
+    @returns {?Object} - the `scope` requested and whether it is a `rerequest`, or null if no dialog is queued.
+    @memberof tabbii.social.facebook.user
+    */
+    queued : function(){
+      return dialog.batch && { scope : dialog.batch.scope, rerequest : dialog.batch.rerequest };
+    },
+    open : function(){
+      if(!dialog.batch || dialog.open_batch) return;
+      var batch = dialog.open_batch = dialog.batch;
+      dialog.batch = null;
+      var options = { scope : batch.scope };
+      if(batch.rerequest) options.auth_type = 'rerequest';
+      user.callbacks.dialog_opened.trigger({ scope : batch.scope, rerequest : batch.rerequest });
+      facebook.sdk().login(function(response){
+        // Logging in explicitly starts a new session after logout.
+        if(response.authResponse) facebook.resume_session();
+        var respond = function(){
+          dialog.open_batch = null;
+          user.callbacks.dialog_closed.trigger({ scope : batch.scope, response : response });
+          _.each(batch.callbacks, function(callback){ callback(response) });
+        }
+        if(!response.authResponse) return respond();
+        status.discover(true);
+        // force a check for the requested or required permissions
+        user.permissions.get(respond);
+      }, options);
+    }
+  };
+
+  /*
+  Login by navigating to the OAuth dialog, for browsers which cannot open the popup.
+  The pending request is kept in sessionStorage and resumed once the permissions are confirmed on return.
+  */
+  var redirect = {
+    key : 'tabbii.facebook.pending_request',
+    allowed : function(){
+      return tabbii.defaults.facebook.user.login_mode != 'popup';
+    },
+    preferred : function(evented){
+      var settings = tabbii.defaults.facebook.user;
+      if(settings.login_mode == 'redirect' || !evented) return redirect.allowed();
+      return settings.login_mode == 'auto' && settings.redirect_user_agents.test(navigator.userAgent);
+    },
+    storage : function(){
+      try {
+        return window.sessionStorage || null;
+      } catch(e) {
+        return null;
+      }
+    },
+    dialog_url : function(scope){
+      var settings = tabbii.defaults.facebook;
+      var redirect_uri = settings.user.redirect_uri || URI(window.location.href).fragment('').toString();
+      return URI('https://www.facebook.com/' + settings.version + '/dialog/oauth').query({
+        client_id : settings.app_id,
+        redirect_uri : redirect_uri,
+        scope : scope.join(','),
+        response_type : 'token',
+        auth_type : 'rerequest'
+      }).toString();
+    },
+    begin : function(scope, previous, action, action_args){
+      var storage = redirect.storage();
+      if(storage) {
+        try {
+          storage.setItem(redirect.key, JSON.stringify({
+            permissions : scope,
+            previous : previous,
+            action : action,
+            args : action_args || [],
+            started : _.now(),
+            expires : _.now() + tabbii.defaults.facebook.user.redirect_ttl * 1000
+          }));
+        } catch(e) {}
+      }
+      redirect.navigate(redirect.dialog_url(scope));
+    },
+    navigate : function(url){
+      window.location.assign(url);
+    },
+    read : function(){
+      var storage = redirect.storage();
+      if(!storage) return null;
+      try {
+        var pending = JSON.parse(storage.getItem(redirect.key));
+      } catch(e) {
+        return null;
+      }
+      if(!pending || pending.expires < _.now()) return null;
+      return pending;
+    },
+    clear : function(){
+      var storage = redirect.storage();
+      if(storage) storage.removeItem(redirect.key);
+    },
+    resume : function(){
+      var pending = redirect.read();
+      if(!pending) return redirect.clear();
+      var details = { source : 'redirect', action : pending.action, permissions : pending.permissions };
+      var duration = function(){
+        return { duration : _.now() - pending.started };
+      }
+      var cancelled = function(){
+        redirect.clear();
+        analytics.emit('cancelled', _.extend(duration(), details));
+      }
+      // The dialog returns with an error when the user cancels.
+      if(URI(window.location.href).query(true).error) return cancelled();
+      // Whatever the user returns as, the request is settled once and never replayed on a later login.
+      tabbii.internals.stack_callback.push_any(facebook.callbacks.connected, facebook.callbacks.unconnected, function(){
+        if(facebook.status != 'connected') return cancelled();
+        user.permissions.get(function(){
+          redirect.clear();
+          var result = outcome.build(pending.permissions, pending.previous);
+          analytics.emit(analytics.outcome(result), _.extend(duration(), details, result));
+          if(!user.permissions.includes(pending.permissions)) return;
+          if(pending.action) helpers.run_action(pending.action, undefined, result, pending.args);
+        });
+      });
+    }
+  };
+
+  /*
+  Structured events describing the permission funnel, sent to every sink in `analytics_sinks`.
+  Each event has a `name` (`requested`, `dialog_shown`, `granted`, `partially_granted`, `declined`, `cancelled` or `permission_change`),
+  the `source` of the request, the triggering `action` if named, the `permissions` involved and, once settled, the `duration` in milliseconds.
+  Requests which cannot be made at all, such as `not_evented`, are not part of the funnel and are not reported.
+  */
+  var analytics = {
+    // Whether the permissions have been fetched since connecting: the first fetch of a session is not a change.
+    connected : false,
+    initialize : function(){
+      facebook.callbacks.connected.addStopEventListener(function(){
+        analytics.connected = false;
+      });
+      user.callbacks.permission_change.push(function(changes){
+        if(!analytics.connected) return;
+        analytics.emit('permission_change', _.extend({ source : 'permissions' }, changes));
+      });
+    },
+    // Called after every fetch of me/permissions.
+    fetched : function(){
+      analytics.connected = facebook.status == 'connected';
+    },
+    track : function(source, requested, action, deferred){
+      var started = _.now();
+      var details = { source : source, action : action, permissions : requested };
+      var shown = false;
+      analytics.emit('requested', details);
+      deferred.always(function(result){
+        if(result.reason && !_.contains(['cancelled', 'partially_declined'], result.reason)) return;
+        analytics.emit(analytics.outcome(result), _.extend({
+          granted : result.granted,
+          declined : result.declined,
+          dialog : shown,
+          duration : _.now() - started
+        }, details));
+      });
+      return {
+        dialog : function(mode){
+          shown = true;
+          analytics.emit('dialog_shown', _.extend({ mode : mode }, details));
+        }
+      }
+    },
+    outcome : function(result){
+      if(result.reason == 'cancelled') return 'cancelled';
+      if(!result.declined.length) return 'granted';
+      return result.granted.length ? 'partially_granted' : 'declined';
+    },
+    emit : function(name, details){
+      var event = _.extend({ name : name, time : _.now() }, details);
+      _.each(tabbii.defaults.facebook.user.analytics_sinks, function(sink){
+        try {
+          analytics.sink(sink)(event);
+        } catch(e) {
+          console.error("Analytics sink failed", e);
+        }
+      });
+    },
+    sink : function(sink){
+      if(_.isFunction(sink)) return sink;
+      if(sink == 'dataLayer') return function(event){
+        window.dataLayer = window.dataLayer || [];
+        window.dataLayer.push(_.extend({ event : 'facebook_permissions.' + event.name }, event));
+      }
+      if(sink && sink.beacon) return function(event){
+        var body = JSON.stringify(event);
+        if(navigator.sendBeacon && navigator.sendBeacon(sink.beacon, body)) return;
+        $.ajax({ url : sink.beacon, type : 'post', contentType : 'application/json', data : body });
+      }
+      return $.noop;
+    }
+  };
+
+  /*
+  Posts the auth response and granted scopes to the app's server whenever they change.
+  Changes are only posted once the session's `connect` has gone out: the first fetch of each session reports every granted permission as new.
+  `connect` waits for the permissions fetched on connecting rather than fetching them again.
+  */
+  var sync = {
+    last_auth : null,
+    session : false,
+    connecting : null,
+    initialize : function(){
+      // Before the connected callbacks which fetch the permissions, on every connection.
+      var connect = function(){
+        facebook.callbacks.connected.push_with_priority(100, sync.connect);
+      }
+      connect();
+      facebook.callbacks.connected.addStopEventListener(connect);
+      facebook.callbacks.connected.addStopEventListener(function(){
+        sync.session = false;
+        sync.connecting = null;
+        if(!sync.enabled()) return;
+        sync.send('logout');
+      });
+      user.callbacks.permission_change.push(function(changes){
+        if(!sync.session) return;
+        sync.send('permission_change', changes);
+      });
+    },
+    connect : function(response){
+      // Kept so the logout can report the user who logged out.
+      sync.last_auth = response && response.authResponse || sync.last_auth;
+      if(!sync.enabled()) return;
+      // Connect once the permissions fetched on connecting are in, so the granted scopes are current.
+      // The tab the user connected in has synced already.
+      sync.connecting = { from_tab : tabs.applying };
+    },
+    enabled : function(){
+      return !_.isEmpty(tabbii.defaults.facebook.user.sync_urls);
+    },
+    // Called after every fetch of me/permissions.
+    fetched : function(){
+      var connecting = sync.connecting;
+      if(!connecting || facebook.status != 'connected') return;
+      sync.connecting = null;
+      sync.session = true;
+      if(!connecting.from_tab) sync.send('connect');
+    },
+    url : function(event){
+      return (tabbii.defaults.facebook.user.sync_urls || {})[event];
+    },
+    csrf_token : function(){
+      var token = tabbii.defaults.facebook.user.sync_csrf_token;
+      if(_.isFunction(token)) return token();
+      return token || $('meta[name="csrf-token"]').attr('content');
+    },
+    payload : function(event, changes){
+      var auth = facebook.sdk() && facebook.sdk().getAuthResponse();
+      // After logout only the last known user can be reported.
+      if(auth) sync.last_auth = auth;
+      auth = auth || sync.last_auth || {};
+      var payload = {
+        event : event,
+        user_id : auth.userID,
+        granted_scopes : user.permissions.current,
+        declined_scopes : user.permissions.declined
+      };
+      if(event != 'logout') {
+        payload.access_token = auth.accessToken;
+        payload.signed_request = auth.signedRequest;
+        payload.expires_in = auth.expiresIn;
+      }
+      if(changes) payload.changes = changes;
+      return payload;
+    },
+    /**
+    Posts the current auth response and granted scopes to the configured endpoint for the event.  
+    Automatically invoked on connect, permission change and logout for each event with a URL in `sync_urls`.
+
+    @function sync_server
+    @arg {string} event - `connect`, `permission_change` or `logout`.
+    @arg {Object} [changes] - the granted, revoked and declined permissions for a `permission_change`.
+    @memberof tabbii.social.facebook.user
+    */
+    send : function(event, changes, attempt){
+      var url = sync.url(event);
+      // Changes received from another tab were synced by that tab.
+      if(!url || tabs.applying) return;
+      attempt = attempt || 0;
+      var payload = sync.payload(event, changes);
+      var headers = {};
+      var csrf_token = sync.csrf_token();
+      if(csrf_token) headers['X-CSRF-Token'] = csrf_token;
+      $.ajax({
+        url : url,
+        type : 'post',
+        data : payload,
+        headers : headers,
+        success : function(response){
+          var synced = user.callbacks.server_synced.bind = { event : event, payload : payload, response : response };
+          user.callbacks.server_synced.trigger(synced);
         },
-        /**
-        Pushes permission(s) into the `additional_permissions` array so the module may keep track of them. 
-        
-        @arg {(string|string[])} permissions - permission(s) to add.
-        @memberof tabbii.social.facebook.user.permissions
-        */
-        add : function(permissions) {
-          var required_array = _.flatten([permissions]);
-          _.each(required_array, function(permission){
-            tabbii.defaults.facebook.user.additional_permissions.push(permission);
+        error : function(xhr){
+          var settings = tabbii.defaults.facebook.user;
+          if(attempt >= settings.sync_retries) return console.warn("Server sync failed", event, xhr.status);
+          _.delay(sync.send, settings.sync_retry_delay * Math.pow(2, attempt), event, changes, attempt + 1);
+        }
+      });
+    }
+  };
+
+  /*
+  Shares login status and permission changes with the app's other tabs, over BroadcastChannel or, where unsupported, storage events.
+  Received changes are applied as if they happened in this tab, firing the usual callbacks, but are not broadcast or synced to the server again.
+  Only `logout` is shared as a logout, not an expired token or a status the SDK could not determine.
+  */
+  var tabs = {
+    applying : false,
+    channel : null,
+    status : null,
+    name : function(){
+      return 'tabbii.facebook.tabs.' + tabbii.defaults.facebook.app_id;
+    },
+    initialize : function(){
+      if(!tabbii.defaults.facebook.user.sync_tabs) return;
+      if(window.BroadcastChannel) {
+        tabs.channel = new BroadcastChannel(tabs.name());
+        tabs.channel.onmessage = function(event){ tabs.receive(event.data) };
+      } else {
+        $(window).on('storage', function(event){
+          var original = event.originalEvent;
+          if(original.key != tabs.name() || !original.newValue) return;
+          try {
+            tabs.receive(JSON.parse(original.newValue));
+          } catch(e) {}
+        });
+      }
+      facebook.callbacks.state_change.push(function(change){
+        var previous = tabs.status;
+        tabs.status = facebook.status;
+        // Every tab discovers its own status on load.
+        if(change.from == 'loading' || previous == facebook.status) return;
+        // Expiry, or the SDK briefly not knowing the user, is not a logout. Logging out broadcasts itself.
+        if(facebook.status == 'unknown') return;
+        tabs.broadcast({ type : 'status', status : facebook.status });
+      });
+      user.callbacks.permission_change.push(function(changes){
+        tabs.broadcast({ type : 'permissions', changes : changes, statuses : user.permissions.statuses });
+      });
+    },
+    broadcast : function(message){
+      if(tabs.applying || facebook.state == 'loading') return;
+      message.user_id = facebook.sdk() && facebook.sdk().getUserID();
+      if(tabs.channel) return tabs.channel.postMessage(message);
+      // Storage events only fire in other tabs, and only when the value changes.
+      try {
+        window.localStorage.setItem(tabs.name(), JSON.stringify(_.extend({ sent : _.now() + Math.random() }, message)));
+        window.localStorage.removeItem(tabs.name());
+      } catch(e) {}
+    },
+    receive : function(message){
+      if(!facebook.sdk() || facebook.state == 'loading') return;
+      tabs.apply(function(){
+        if(message.type == 'status') tabs.receive_status(message);
+        if(message.type == 'permissions') tabs.receive_permissions(message);
+      });
+    },
+    // Changes applied from another tab are neither broadcast back nor synced to the server again.
+    apply : function(changes){
+      tabs.applying = true;
+      try {
+        changes();
+      } finally {
+        tabs.applying = false;
+      }
+    },
+    receive_status : function(message){
+      tabs.status = message.status;
+      if(message.status == 'connected') {
+        // Logging in again in another tab starts a new session in this one too.
+        facebook.resume_session();
+        // The new auth response only comes from the SDK, after this message is applied.
+        return facebook.sdk().getLoginStatus(function(response){
+          tabs.apply(function(){ status.update(response) });
+        }, true);
+      }
+      if(message.status == 'unknown') {
+        // Logging out of the app in another tab ends the session in this one too, which that tab already did with the SDK and server.
+        facebook.end_session();
+        status.maintain_session();
+        return permissions.update({ data : [] });
+      }
+      facebook.update_status({ status : message.status, authResponse : null });
+    },
+    receive_permissions : function(message){
+      // A logged out tab holds no permissions.
+      if(facebook.status != 'connected') return;
+      // Another user logged in over there, so ask the SDK who is here.
+      if(message.user_id != facebook.sdk().getUserID()) return status.discover(true);
+      // The other tab may have requested permissions this one has not listed yet.
+      user.permissions.add(user.permissions.not_listed(_.flatten(_.values(message.changes))));
+      permissions.update({ data : _.map(message.statuses, function(permission_status, permission){
+        return { permission : permission, status : permission_status };
+      }) });
+    }
+  };
+
+  /*
+  Graph API calls made through `api`, with permission escalation and retry.
+  Facebook reports missing permissions with error code 10 or 200 to 299, and invalid or expired tokens with code 102 or 190.
+  */
+  var graph = {
+    call : function(deferred, path, params, method, trigger_event, attempt){
+      if(!facebook.sdk() || facebook.status != 'connected') return deferred.reject({ reason : 'not_connected' });
+      var missing = user.permissions.missing(graph.requirements(path, method));
+      if(missing.length) return graph.escalate(deferred, path, params, method, trigger_event, attempt, missing);
+      facebook.sdk().api(path, method, params, function(response){
+        var error = response && response.error;
+        if(!response) return deferred.reject({ reason : 'error' });
+        if(!error) return deferred.resolve(response);
+        var problem = graph.classify(error);
+        if(!problem || attempt >= tabbii.defaults.facebook.user.api_retries) return deferred.reject({ reason : 'error', error : error });
+        var retry = function(){ graph.call(deferred, path, params, method, trigger_event, attempt + 1) };
+        if(problem == 'expired') {
+          facebook.sdk().getLoginStatus(function(login_status){
+            status.update(login_status);
+            retry();
+          }, true);
+        } else {
+          // The token may have lost a permission we thought was granted.
+          user.permissions.get(function(){
+            var required = _.union(graph.requirements(path, method), graph.named_permissions(error));
+            var missing = user.permissions.missing(required);
+            if(!missing.length) return deferred.reject({ reason : 'error', error : error });
+            graph.escalate(deferred, path, params, method, trigger_event, attempt + 1, missing);
           });
         }
-      },
+      });
+    },
+    escalate : function(deferred, path, params, method, trigger_event, attempt, missing){
+      var retry = function(event){
+        user.request_permissions(event, missing).then(function(){
+          graph.call(deferred, path, params, method, event, attempt);
+        }, function(rejection){
+          deferred.reject($.extend({}, rejection, { reason : 'permissions_declined', cause : rejection.reason }));
+        });
+      }
+      if(trigger_event && trigger_event.preventDefault) return retry(trigger_event);
+      // A popup needs a click, so wait for the app to offer one.
+      var requested = false;
+      var request = function(event){
+        if(requested) return;
+        requested = true;
+        retry(event);
+      }
+      var listened = user.callbacks.permission_needed.pending() > 0 || user.listening('permission_needed');
+      user.callbacks.permission_needed.trigger({ path : path, permissions : missing, request : request });
+      if(listened) return;
+      // Nothing will offer one, so use the user's next click, leaving that click to do whatever it does.
+      $(document).one('click', function(){ request($.Event('click')) });
+    },
+    requirements : function(path, method){
+      var endpoints = tabbii.defaults.facebook.user.endpoints;
+      path = String(path).replace(/^\//, '').split('?')[0];
+      var required = _.flatten([endpoints[method + ' ' + path] || endpoints[path] || []]);
+      // Endpoints may name features from the manifest instead of permissions.
+      return _.chain(required).map(function(requirement){
+        return features.defined(requirement) ? features.permissions(requirement) : requirement;
+      }).flatten().uniq().value();
+    },
+    // Such as "(#200) Requires extended permission: publish_actions".
+    named_permissions : function(error){
+      var match = String(error.message || '').match(/permissions?:\s*([a-z_, ]+)/);
+      return match ? _.compact(match[1].split(/[\s,]+/)) : [];
+    },
+    classify : function(error){
+      var code = Number(error.code);
+      if(code == 10 || (code >= 200 && code < 300)) return 'permission';
+      if(code == 102 || code == 190) return 'expired';
+      return null;
+    }
+  };
+
+  /*
+  The `features` manifest, mapping feature names to the permissions they require.
+  Each feature is an array of permissions, or an object with a `permissions` array and `basic` set to request them at login.
+  */
+  var features = {
+    defined : function(feature){
+      return _.has(tabbii.defaults.facebook.user.features, feature);
+    },
+    permissions : function(feature){
+      var definition = tabbii.defaults.facebook.user.features[feature];
+      return _.flatten([_.isArray(definition) ? definition : definition.permissions]);
+    },
+    basic : function(){
+      return features.with_basic(true);
+    },
+    additional : function(){
+      return features.with_basic(false);
+    },
+    with_basic : function(basic){
+      return _.chain(tabbii.defaults.facebook.user.features).keys().filter(function(feature){
+        return !!tabbii.defaults.facebook.user.features[feature].basic == basic;
+      }).map(features.permissions).flatten().uniq().value();
+    }
+  };
+
+  /*
+  Adapter connecting the Facebook SDK to the permission manager, see {@link tabbii.social.scopes}.
+  */
+  var adapter = {
+    fetch : function(callback){
+      facebook.sdk().api('me/permissions', function(response){
+        callback(permissions.normalise(response));
+        cache.store(response);
+        sync.fetched();
+        analytics.fetched();
+      });
+    },
+    request : function(scope, callback){
+      // The dialog fetches the permissions as it closes.
+      dialog.request(scope, true, function(response){ callback(response.authResponse ? true : response.reason || false, true) });
+    },
+    revoke : function(permission, callback){
+      // Removing every permission is deauthorising, see user.deauthorise.
+      if(!permission) return callback('unsupported');
+      if(!facebook.sdk() || facebook.status != 'connected') return callback('not_connected');
+      facebook.sdk().api('me/permissions/' + permission, 'delete', function(response){
+        if(!response || response.error) return callback('error', response && response.error);
+        callback();
+      });
+    }
+  };
+
+  var permissions = (function(){
+    var permissions = {
       basic : function(){
-        return tabbii.defaults.facebook.user.basic_permissions;
+        return _.union(tabbii.defaults.facebook.user.basic_permissions, features.basic());
       },
       additional : function(){
-        return tabbii.defaults.facebook.user.additional_permissions;
+        return _.union(tabbii.defaults.facebook.user.additional_permissions, features.additional());
       },
       all : function(){
         return _.union(permissions.additional(), permissions.basic());
+      },
+      // Graph API v1.0 responds with a single object of permission names set to 1,
+      // later versions with an entry for each permission and its status.
+      normalise : function(raw){
+        var data = (raw && raw.data) || [];
+        if(!data.length || _.has(data[0], 'permission')) return data;
+        return _.chain(data[0]).omit('installed').map(function(granted, permission){
+          return { permission : permission, status : granted ? 'granted' : 'declined' };
+        }).value();
+      },
+      update : function(raw, callback){
+        permissions.api.update(permissions.normalise(raw));
+        if(_.isFunction(callback)) callback();
       }
     }
-    var update = function(raw, callback){
-      permissions_object = raw.data ? raw.data : {};
-      var previous_permissions = permissions.api.current;
-      // Reject permissions that lack the randomly named status type of 'granted'. Thanks FB.
-      // and map to flat array.
-      permissions.api.current = _.map(permissions_object, function(n){if(n.status=='granted') return n.permission});
-      var newly_granted = _.difference(permissions.api.current, previous_permissions);
-      var newly_revoked = _.difference(previous_permissions, permissions.api.current);
-      if( newly_granted.length || newly_revoked.length ){
-        // should only produce callback if granted or revoked permissions include any in 
-        // the full permissions set for the app  as the connected or disconnected callback
-        // will handle it otherwise.
-        if( _.intersection(_.union(newly_granted, newly_revoked), permissions.all()).length ){
-          var permission_changes = {
-            // intersect with permissions requested by app to remove irrelevant ones
-            granted : _.intersection(newly_granted, permissions.all()),
-            revoked : _.intersection(newly_revoked, permissions.all())
-          }
-          user.callbacks.permission_change.bind = permission_changes;
-          user.callbacks.permission_change.trigger();
-        }
-      }
-      // Trigger things when conditions are met
-      if( user.permissions.includes( permissions.all() ) ) {
-        user.callbacks.permissions_granted.trigger();
-      } else {
-        user.callbacks.permissions_granted.empty();
-        user.callbacks.permissions_granted.stop();
-        // Prevent callbacks happening later down the track.
-      }
-      if(_.isFunction(callback)) callback();
-    }
+    /**
+    The user's Facebook permissions, a {@link tabbii.social.scopes.manager} with the Facebook adapter.  
+    Granted, declined and expired permissions are fetched from `me/permissions`. Requested permissions are added to the `additional_permissions` array.
+    @namespace tabbii.social.facebook.user.permissions
+    @example
+      $('#stop_posting').click(function(){
+        tabbii.social.facebook.user.permissions.revoke('publish_actions');
+      });
+    */
+    permissions.api = new tabbii.social.scopes.manager(adapter, {
+      scopes : permissions.all,
+      add : function(required){
+        _.each(required, function(permission){
+          tabbii.defaults.facebook.user.additional_permissions.push(permission);
+        });
+      },
+      // The user's permissions_granted follows the auth state instead, which the manager's own refines.
+      callbacks : _.pick(user.callbacks, 'permission_change')
+    });
+    permissions.api.callbacks.permissions_granted.addTriggerEventListener(function(){ status.refine() });
+    permissions.api.callbacks.permissions_granted.addStopEventListener(function(){ status.refine() });
     return permissions
   })();
 
@@ -337,12 +1208,106 @@ tabbii.social.facebook.user = (function($){
       facebook.callbacks.connected.addStopEventListener(function(){
         if(logout_button_selector) $(logout_button_selector).removeClass('show');
       })
+    },
+    state_classes : function(){
+      if(!tabbii.defaults.facebook.user.state_classes) return;
+      facebook.callbacks.connected.addTriggerEventListener(helpers.reflect_state);
+      facebook.callbacks.connected.addStopEventListener(helpers.reflect_state);
+      user.callbacks.permission_change.push(helpers.reflect_state);
+      $(function(){ helpers.reflect_state() });
+      facebook.callbacks.navigated.push(function(){ helpers.reflect_state() });
+    },
+    /**
+    Updates the authentication and permission state classes on elements matching `state_selector`.  
+    Adds `fb-connected` or `fb-unconnected`, and for every permission the app uses or Facebook reports, `fb-has-<permission>` or `fb-missing-<permission>`, plus `fb-declined-<permission>` when the user declined it.  
+    Automatically invoked on state changes if `state_classes` is true, call it after inserting new markup.
+
+    @function reflect_state
+    @memberof tabbii.social.facebook.user
+    @example
+      <html class="fb-connected fb-has-email fb-missing-publish_actions fb-declined-publish_actions">
+
+      .fb-missing-publish_actions .post-button { display: none; }
+    */
+    reflect_state : function(){
+      var connected = facebook.status == 'connected';
+      var granted = connected ? user.permissions.current : [];
+      var classes = [connected ? 'fb-connected' : 'fb-unconnected'];
+      _.each(_.union(permissions.all(), user.permissions.current, user.permissions.declined), function(permission){
+        classes.push((_.contains(granted, permission) ? 'fb-has-' : 'fb-missing-') + permission);
+        if(_.contains(user.permissions.declined, permission)) classes.push('fb-declined-' + permission);
+      });
+      $(tabbii.defaults.facebook.user.state_selector).each(function(){
+        var element = $(this);
+        var stale = _.filter((element.attr('class') || '').split(/\s+/), function(name){
+          return /^fb-(connected|unconnected|has-.+|missing-.+|declined-.+)$/.test(name);
+        });
+        element.removeClass(stale.join(' ')).addClass(classes.join(' '));
+      });
+    },
+    run_action : function(name, trigger_event, result, action_args){
+      if(!_.isFunction(user.actions[name])) return console.warn("Unknown action", name);
+      var context = (trigger_event && trigger_event.currentTarget) || document;
+      user.actions[name].apply(context, [result, trigger_event].concat(action_args || []));
+    },
+    action_bindings : function(){
+      if(!tabbii.defaults.facebook.user.auto_bind_actions) return;
+      $(function(){ helpers.bind_actions() });
+      facebook.callbacks.navigated.push(function(page){ helpers.bind_actions(page.container) });
+    },
+    /**
+    Binds clicks on elements matching `action_selector` within the container to request their `data-fb-permissions` and then dispatch their `data-fb-action`.  
+    Elements already bound are skipped, so it is safe to call again after inserting new markup.  
+    Automatically invoked on DOM ready and after each page change if `auto_bind_actions` is true.
+
+    @function bind_actions
+    @arg {(Element|jQuery|string)} [container=document] - where to search for elements.
+    @memberof tabbii.social.facebook.user
+    */
+    bind_actions : function(container){
+      var selector = tabbii.defaults.facebook.user.action_selector;
+      $(container || document).find(selector).each(function(){
+        var element = $(this);
+        if(element.data('fb-bound')) return;
+        element.data('fb-bound', true);
+        element.on('click', helpers.dispatch_action);
+      });
+    },
+    dispatch_action : function(event){
+      var element = $(this);
+      var action = element.data('fb-action');
+      var action_args = element.data('fb-args');
+      var required = _.compact(String(element.data('fb-permissions') || '').split(/[\s,]+/));
+      // Without listed permissions, request everything the app uses.
+      user.request_permissions(event, required.length ? required : undefined, action, action_args && _.flatten([action_args])).then(function(outcome){
+        element.trigger('fb:granted', [outcome, action]);
+      }, function(rejection){
+        element.trigger('fb:declined', [rejection, action]);
+      });
     }
   };
+  /**
+  Binds handlers to `callbacks` by name, with namespaces for bulk removal.  
+  See {@link tabbii.internals.stack_callback.events}.
+
+  @function on
+  @function once
+  @function off
+  @function listening
+  @memberof tabbii.social.facebook.user
+  @example
+    tabbii.social.facebook.user.on('permission_change.myWidget', function(changes){ ... });
+  */
+  $.extend(user, tabbii.internals.stack_callback.events(user.callbacks));
   // Attach internal members to public object
   $.extend(user, {
     permissions : permissions.api,
-    update_status : status.discover
+    update_status : status.discover,
+    session_remaining : status.remaining,
+    queued_dialog : dialog.queued,
+    sync_server : function(event, changes){ sync.send(event, changes) },
+    bind_actions : helpers.bind_actions,
+    reflect_state : helpers.reflect_state
   }, true)
 
   /**
@@ -350,14 +1315,60 @@ tabbii.social.facebook.user = (function($){
   
   @memberof tabbii.social.facebook.user
   @default
-  @prop {string[]} basic_permissions - non-extended permissions to request when the user first logs in.
-  @prop {string[]} additional_permissions - extended permissions to request when required.
+  @prop {string[]} basic_permissions - non-extended permissions to request when the user first logs in, in addition to those of `basic` features.
+  @prop {string[]} additional_permissions - extended permissions to request when required, in addition to those of other features.
+  @prop {Object.<string, (string[]|Object)>} features - the permissions each feature of the app requires, keyed by feature name. A feature is an array of permissions, or an object with a `permissions` array and `basic: true` to request them when the user first logs in.
   @prop {string} logout_button_selector - a selector for a button which will automatically respond to user authentication status.
+  @prop {boolean} auto_bind_actions - Automatically bind elements matching `action_selector` on DOM ready and after each page change set by `navigation`.
+  @prop {string} action_selector - a selector for elements which request permissions and dispatch a named action when clicked.
+  @prop {boolean} state_classes - Automatically keep authentication and permission state classes up to date on elements matching `state_selector`.
+  @prop {string} state_selector - a selector for elements which reflect the user's state as classes.
+  @prop {boolean} cache - Persist granted, declined and expired permissions between page loads, per user, so they are known as soon as the user is connected, before Facebook responds.
+  @prop {string} cache_storage - `localStorage` or `sessionStorage`.
+  @prop {number} cache_ttl - seconds before cached permissions are discarded.
+  @prop {Object.<string, (string|string[])>} endpoints - the permissions or features each Graph API path requires when called through `api`, keyed by path, optionally prefixed with the method, such as `post me/photos`.
+  @prop {number} api_retries - times `api` retries a call after requesting a missing permission or refreshing an expired token.
+  @prop {Array} analytics_sinks - where to send permission funnel events. Each sink is a function receiving the event, `'dataLayer'` to push onto `window.dataLayer`, or `{beacon: url}` to post the event as JSON.
+  @prop {string} deauthorise_url - endpoint to post the access token to when deauthorising, for the server to remove the app. Deauthorises from the browser when not set.
+  @prop {Object.<string, string>} sync_urls - endpoints to post the auth response to, keyed by event: `connect`, `permission_change` and `logout`. Events without a URL are not synced.
+  @prop {(string|function)} sync_csrf_token - CSRF token sent in the `X-CSRF-Token` header. Defaults to the content of `<meta name="csrf-token">`.
+  @prop {number} sync_retries - number of further attempts after a failed sync.
+  @prop {number} sync_retry_delay - milliseconds before the first sync retry, doubling for each subsequent retry.
+  @prop {boolean} sync_tabs - Share login status and permission changes with the app's other open tabs, firing the same callbacks there. Calling `logout` logs out of the app in every tab.
+  @prop {number} session_expiring_lead - seconds before the access token expires to trigger `session_expiring` and attempt a silent refresh.
+  @prop {boolean} coalesce_requests - Merge login and permission requests made in the same tick into one dialog. The dialog then opens a tick after the click, which browsers may block as a popup, so it is off by default.
+  @prop {string} login_mode - `popup` to always use the login popup, `redirect` to always navigate to the login dialog, or `auto` to redirect when there is no click event or the browser matches `redirect_user_agents`.
+  @prop {RegExp} redirect_user_agents - in-app browsers which cannot open the login popup.
+  @prop {string} redirect_uri - where the login dialog returns to. Defaults to the current page.
+  @prop {number} redirect_ttl - seconds a pending request is kept for resuming after a redirect.
   */
   tabbii.defaults.facebook.user = {
     basic_permissions: [],
     additional_permissions: [],
-    logout_button_selector : '#facebook_logout_button'
+    features : {},
+    endpoints : {},
+    api_retries : 1,
+    logout_button_selector : '#facebook_logout_button',
+    auto_bind_actions : true,
+    action_selector : '[data-fb-permissions]',
+    state_classes : true,
+    state_selector : 'html, [data-fb-state]',
+    cache : false,
+    cache_storage : 'localStorage',
+    cache_ttl : 3600,
+    analytics_sinks : [],
+    deauthorise_url : null,
+    sync_urls : {},
+    sync_csrf_token : null,
+    sync_retries : 2,
+    sync_retry_delay : 1000,
+    sync_tabs : true,
+    session_expiring_lead : 300,
+    coalesce_requests : false,
+    login_mode : 'popup',
+    redirect_user_agents : /FBAN|FBAV|Instagram|Line\/|MicroMessenger|Twitter/i,
+    redirect_uri : null,
+    redirect_ttl : 600
   }
 
   return user;